@@ -1,4 +1,5 @@
 const path = require("node:path");
+const crypto = require("node:crypto");
 const { fork } = require("node:child_process");
 const { findAvailablePort } = require("../shared/port-allocator");
 const { buildTrayTemplate } = require("./tray/tray-menu");
@@ -59,6 +60,7 @@ function buildServerEnv({
   model,
   base,
   apiKey,
+  appSecret,
   host,
   userDataPath,
   appPath,
@@ -70,6 +72,7 @@ function buildServerEnv({
     OLLAMA_MODEL: model,
     OLLAMA_BASE: base,
     CHATDOCK_API_KEY: apiKey,
+    CHATDOCK_APP_SECRET: appSecret,
     CHATDOCK_USER_DATA: userDataPath,
     CHATDOCK_APP_PATH: appPath,
   };
@@ -99,6 +102,7 @@ function startServer({
   model,
   base,
   apiKey,
+  appSecret,
   host,
   userDataPath,
   appPath,
@@ -108,6 +112,7 @@ function startServer({
     model,
     base,
     apiKey,
+    appSecret,
     host,
     userDataPath,
     appPath,
@@ -269,13 +274,17 @@ async function boot() {
   const userDataPath = app.getPath("userData");
   const appPath = app.getAppPath();
   const apiKey = ensureApiKey(userDataPath);
+  // New every launch: proves to the server that a request comes from this app's window
+  const appSecret = crypto.randomBytes(32).toString("hex");
   process.env.CHAT_SERVER_PORT = String(port);
   process.env.CHAT_SERVER_HOST = host;
+  process.env.CHATDOCK_APP_SECRET = appSecret;
   startServer({
     port,
     model: DEFAULT_MODEL,
     base: DEFAULT_BASE,
     apiKey,
+    appSecret,
     host,
     userDataPath,
     appPath,
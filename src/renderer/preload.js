@@ -18,9 +18,11 @@ function getChatBase({ port }) {
   return `http://127.0.0.1:${port}`;
 }
 
-function getAuthHeaders({ apiKey }) {
-  if (!apiKey) return {};
-  return { Authorization: `Bearer ${apiKey}` };
+function getAuthHeaders({ apiKey, appSecret }) {
+  const headers = {};
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  if (appSecret) headers["X-ChatDock-App"] = appSecret;
+  return headers;
 }
 
 if (contextBridge && typeof contextBridge.exposeInMainWorld === "function") {
@@ -29,7 +31,11 @@ if (contextBridge && typeof contextBridge.exposeInMainWorld === "function") {
       getChatBase({ port: Number(process.env.CHAT_SERVER_PORT || 3001) }),
   });
   contextBridge.exposeInMainWorld("__CHAT_AUTH__", {
-    get: () => getAuthHeaders({ apiKey: process.env.CHATDOCK_API_KEY }),
+    get: () =>
+      getAuthHeaders({
+        apiKey: process.env.CHATDOCK_API_KEY,
+        appSecret: process.env.CHATDOCK_APP_SECRET,
+      }),
   });
 
   // Expose settings API
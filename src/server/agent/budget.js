@@ -0,0 +1,140 @@
+/**
+ * Run Budget
+ * Tracks per-run limits (iterations, wall-clock time, tool calls, tokens)
+ *
+ * Limits are resolved from, in increasing priority:
+ *   1. settings.agents                      (global)
+ *   2. settings.agents.specialists[name]    (per specialist)
+ *   3. options.budget                       (per request, e.g. /chat body)
+ * A limit of 0 or null means "unlimited".
+ */
+
+const DEFAULT_LIMITS = {
+  maxIterations: 10,
+  maxDurationMs: 5 * 60 * 1000,
+  maxToolCalls: 50,
+  maxTokens: 0,
+};
+
+/**
+ * Map the settings.json keys onto budget limits
+ * @private
+ */
+function limitsFromSettings(section = {}) {
+  return pickLimits({
+    maxIterations: section.maxToolIterations ?? section.maxIterations,
+    maxDurationMs: section.maxDurationMs,
+    maxToolCalls: section.maxToolCalls,
+    maxTokens: section.maxTokens,
+  });
+}
+
+/**
+ * Keep only valid (non-negative numeric) limits
+ * @private
+ */
+function pickLimits(source = {}) {
+  const limits = {};
+  for (const key of Object.keys(DEFAULT_LIMITS)) {
+    const value = Number(source[key]);
+    if (source[key] !== undefined && source[key] !== null && Number.isFinite(value) && value >= 0) {
+      limits[key] = value;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Resolve the effective limits for a run
+ * @param {Object} settings - Loaded settings
+ * @param {Object} options - Run options (specialist, budget)
+ * @returns {Object} - { maxIterations, maxDurationMs, maxToolCalls, maxTokens }
+ */
+function resolveLimits(settings = {}, options = {}) {
+  const agents = settings.agents || {};
+  const specialist = options.specialist ? agents.specialists?.[options.specialist] : null;
+
+  return {
+    ...DEFAULT_LIMITS,
+    ...limitsFromSettings(agents),
+    ...limitsFromSettings(specialist || {}),
+    ...pickLimits(options.budget || {}),
+  };
+}
+
+class RunBudget {
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.startTime = Date.now();
+    this.iterations = 0;
+    this.toolCalls = 0;
+    this.tokens = 0;
+  }
+
+  startIteration() {
+    this.iterations++;
+  }
+
+  recordToolCall() {
+    this.toolCalls++;
+  }
+
+  recordUsage(usage) {
+    if (usage) this.tokens += usage.totalTokens || 0;
+  }
+
+  /**
+   * When the wall-clock limit runs out
+   * @returns {number|null} - Timestamp in ms, or null without a time limit
+   */
+  deadline() {
+    return this.limits.maxDurationMs ? this.startTime + this.limits.maxDurationMs : null;
+  }
+
+  /**
+   * Whether another tool call fits in the budget
+   * @returns {boolean}
+   */
+  canCallTool() {
+    return !this.limits.maxToolCalls || this.toolCalls < this.limits.maxToolCalls;
+  }
+
+  /**
+   * Check whether another iteration may start
+   * @returns {Object|null} - { reason, limit, used } when exhausted, otherwise null
+   */
+  exhausted() {
+    const { maxIterations, maxDurationMs, maxToolCalls, maxTokens } = this.limits;
+
+    if (maxIterations && this.iterations >= maxIterations) {
+      return { reason: "iterations", limit: maxIterations, used: this.iterations };
+    }
+    const elapsed = Date.now() - this.startTime;
+    if (maxDurationMs && elapsed >= maxDurationMs) {
+      return { reason: "time", limit: maxDurationMs, used: elapsed };
+    }
+    if (maxToolCalls && this.toolCalls >= maxToolCalls) {
+      return { reason: "tool_calls", limit: maxToolCalls, used: this.toolCalls };
+    }
+    if (maxTokens && this.tokens >= maxTokens) {
+      return { reason: "tokens", limit: maxTokens, used: this.tokens };
+    }
+    return null;
+  }
+
+  /**
+   * Snapshot of usage against limits
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      limits: this.limits,
+      iterations: this.iterations,
+      toolCalls: this.toolCalls,
+      tokens: this.tokens,
+      elapsedMs: Date.now() - this.startTime,
+    };
+  }
+}
+
+module.exports = { RunBudget, resolveLimits, DEFAULT_LIMITS };
@@ -7,11 +7,49 @@
 const fs = require("fs");
 const path = require("path");
 const { getServerConfig } = require("../config/settings");
+const { collectStream } = require("../providers/stream-parser");
+
+const MEMORY_DEFAULTS = {
+  maxInjected: 8, // Most relevant memories added to the system prompt per message
+};
+
+const CONTEXT_DEFAULTS = {
+  windowTokens: 0, // 0 = guess from provider/model
+  reserveTokens: 1024, // Room left for the model's reply
+  maxToolResultTokens: 1500, // Larger tool results are elided in the middle
+  summaryTokens: 400, // Target length of the running summary
+  historyToolResultTokens: 500, // Tool results are compacted to this size when saved (0 = keep in full)
+};
+
+// Rough characters per token; local models' tokenizers tend to be less efficient
+const CHARS_PER_TOKEN = {
+  ollama: 3.5,
+  openai: 4,
+  groq: 4,
+  openrouter: 4,
+};
+const MESSAGE_OVERHEAD_TOKENS = 4; // Role and framing tokens per message
+
+// Context windows by model name; first match wins
+const MODEL_WINDOWS = [
+  [/gpt-4o|gpt-4\.1|o[134](-|$)/, 128000],
+  [/gpt-3\.5/, 16385],
+  [/claude/, 200000],
+  [/gemini/, 1000000],
+  [/llama-?3\.[1-3]|llama-4|qwen|mixtral|deepseek/, 128000],
+  [/gemma/, 8192],
+];
+// Ollama serves models with num_ctx (sent with every request), not the model's full window
+const PROVIDER_WINDOWS = {
+  ollama: 8192,
+  default: 32768,
+};
 
 class Context {
-  constructor(toolsLoader, skillsLoader) {
+  constructor(toolsLoader, skillsLoader, memoryStore = null) {
     this.toolsLoader = toolsLoader;
     this.skillsLoader = skillsLoader;
+    this.memoryStore = memoryStore;
     this.config = getServerConfig();
     this.bootstrapFiles = ["AGENTS.md", "SOUL.md", "USER.md", "TOOLS.md", "IDENTITY.md"];
   }
@@ -45,7 +83,7 @@ You have access to powerful tools that allow you to:
 
 **Time**: ${now}
 **Workspace**: ${workspace}
-**Memory Location**: ${path.join(workspace, "memory", "MEMORY.md")}
+**Memory File**: ${path.join(workspace, "memory", "MEMORY.md")} (rendered from the memory store; the user may edit it)
 **Skills Directory**: ${path.join(workspace, "skills")}
 
 ## Important Guidelines
@@ -53,7 +91,7 @@ You have access to powerful tools that allow you to:
 - When responding to questions, provide direct, helpful answers
 - Always explain what you're doing before using tools
 - Be accurate, concise, and transparent
-- Remember important information by writing to your memory file
+- Save lasting facts and preferences with the remember tool; use recall to look up older ones
 - Respect workspace boundaries and user privacy
 - **Only use tools when explicitly requested or necessary to answer the user's question**
 - **CRITICAL: If the user says "hi" or greets you, simply greet them back. DO NOT run any tools (like searching files or desktop) unless the greeting is accompanied by a specific request.**
@@ -104,26 +142,36 @@ Small models often struggle with tool calling. Follow these rules:
     return content;
   }
 
-  loadMemoryContext() {
-    const memPath = path.join(this.config.userDataPath, "memory", "MEMORY.md");
-    if (fs.existsSync(memPath)) {
-      try {
-        const mem = fs.readFileSync(memPath, "utf-8");
-        return `\n\n# Memory\n\n${mem}`;
-      } catch(e) { return ""; }
+  /**
+   * Memories relevant to the current message
+   * Only matching memories are injected; the rest stay reachable through the recall tool.
+   * @param {string} query - The user's message
+   * @param {Object} settings - The run's settings (memory section)
+   * @returns {string}
+   */
+  loadMemoryContext(query, settings = this.config) {
+    if (!this.memoryStore || !query) return "";
+    try {
+      const { maxInjected } = { ...MEMORY_DEFAULTS, ...settings.memory };
+      const memories = this.memoryStore.buildPromptContext(query, maxInjected);
+      if (!memories) return "";
+      return `\n\n# Memory\n\nThings you remembered that may be relevant:\n\n${memories}`;
+    } catch (e) {
+      console.warn("[context] Failed to load memories:", e.message);
+      return "";
     }
-    return "";
   }
 
   /**
    * Build a system prompt for a specific specialist
    * @param {string} specialistName - Name of the specialist skill
+   * @param {Object} options - { query: current user message, for memory retrieval; settings: the run's settings }
    * @returns {string} - Complete specialist system prompt
    */
-  buildSpecialistPrompt(specialistName) {
+  buildSpecialistPrompt(specialistName, { query, settings } = {}) {
     const skill = this.skillsLoader.getSkill(specialistName);
     if (!skill) {
-      return this.buildSystemPrompt(`Warning: Specialist '${specialistName}' not found. Using default instructions.`);
+      return this.buildSystemPrompt(`Warning: Specialist '${specialistName}' not found. Using default instructions.`, { query, settings });
     }
 
     const parts = [];
@@ -138,14 +186,40 @@ Small models often struggle with tool calling. Follow these rules:
     parts.push(this.loadBootstrapFiles());
 
     // 4. Memory
-    const memory = this.loadMemoryContext();
+    const memory = this.loadMemoryContext(query, settings);
     if (memory) parts.push(memory);
 
     return parts.join("\n\n---\n\n");
   }
 
-  buildSystemPrompt(systemPromptOverride) {
+  /**
+   * Instructions of the skills active in this conversation (loaded with use_skill)
+   * @param {Array<string>} names - Active skill names
+   * @returns {string}
+   */
+  buildActiveSkills(names = []) {
+    const skills = names
+      .filter((name) => this.skillsLoader.isUsable(name))
+      .map((name) => this.skillsLoader.getSkill(name));
+    if (skills.length === 0) return "";
+
+    const sections = skills.map((skill) => `## Skill: ${skill.name}\n\n${skill.content}`);
+    return `\n\n# Active Skills\n\nFollow these instructions whenever they apply.\n\n${sections.join("\n\n")}`;
+  }
+
+  /**
+   * Build the main system prompt
+   * @param {string} systemPromptOverride - Extra instructions appended at the end
+   * @param {Object} options
+   * @param {string} options.query - Current user message, for memory retrieval
+   * @param {Array<string>} options.activeSkills - Skills whose instructions are included in full
+   * @param {Array} options.suggestedSkills - [{ name, description }] that match the message (see SkillMatcher)
+   * @param {Object} options.settings - The run's settings (defaults to those loaded at startup)
+   * @returns {string}
+   */
+  buildSystemPrompt(systemPromptOverride, { query, activeSkills = [], suggestedSkills = [], settings } = {}) {
     const parts = [];
+    const tiny = this._isTinyModel(this.config.model);
 
     // 1. Identity
     if (this._isTinyModel(this.config.model)) {
@@ -161,14 +235,25 @@ Small models often struggle with tool calling. Follow these rules:
     }
 
     // 3. Memory
-    const memory = this.loadMemoryContext();
+    const memory = this.loadMemoryContext(query, settings);
     if (memory) parts.push(memory);
 
-    // 4. Skills Summary
+    // 4. Skills: a short list; instructions are loaded on demand with use_skill.
+    // Tiny models don't get use_skill, so the best match is loaded for them.
+    const loaded = tiny && suggestedSkills.length > 0
+      ? [...activeSkills, suggestedSkills[0].name]
+      : activeSkills;
     const skillsSummary = this.skillsLoader.buildSkillsSummary();
-    if (skillsSummary) {
-      parts.push(`\n\n# Skills\n\n${skillsSummary}\n\nTo use a skill, read its SKILL.md file using the read_file tool.`);
+    if (skillsSummary && !tiny) {
+      parts.push(`\n\n# Skills\n\n${skillsSummary}\nBefore a task one of these skills covers, call use_skill with its name to load its instructions (stop_skill unloads it once it's no longer needed).`);
+    }
+    const suggested = tiny ? [] : suggestedSkills.filter((skill) => !loaded.includes(skill.name));
+    if (suggested.length > 0) {
+      const lines = suggested.map((skill) => `- **${skill.name}**: ${skill.description}`);
+      parts.push(`Skills that look relevant to this message (load with use_skill if they fit):\n${lines.join("\n")}`);
     }
+    const active = this.buildActiveSkills(loaded);
+    if (active) parts.push(active);
 
     // 5. Tiny Model optimization
     if (this._isTinyModel(this.config.model)) {
@@ -189,6 +274,176 @@ Small models often struggle with tool calling. Follow these rules:
     return name.includes("0.5b") || name.includes("1b") || name.includes("1.5b") || name.includes("tiny") || name.includes("mini");
   }
 
+  /**
+   * Context window settings merged with defaults
+   * @param {Object} settings - Loaded settings
+   */
+  getContextSettings(settings = this.config) {
+    return { ...CONTEXT_DEFAULTS, ...(settings.context || {}) };
+  }
+
+  /**
+   * Context window size for a provider/model
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {Object} settings - Loaded settings
+   * @returns {number}
+   */
+  getContextWindow(provider, model, settings = this.config) {
+    const { windowTokens } = this.getContextSettings(settings);
+    if (windowTokens) return windowTokens;
+    if (provider === "ollama") return PROVIDER_WINDOWS.ollama;
+
+    const name = (model || "").toLowerCase();
+    const match = MODEL_WINDOWS.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : PROVIDER_WINDOWS.default;
+  }
+
+  /**
+   * Estimate the token count of a string
+   * @param {string} text
+   * @param {string} provider - Provider name
+   * @returns {number}
+   */
+  estimateTokens(text, provider) {
+    if (!text) return 0;
+    const str = typeof text === "string" ? text : JSON.stringify(text);
+    return Math.ceil(str.length / (CHARS_PER_TOKEN[provider] || 4));
+  }
+
+  /**
+   * Estimate the token count of a chat message, including tool calls
+   * @param {Object} message
+   * @param {string} provider - Provider name
+   * @returns {number}
+   */
+  estimateMessageTokens(message, provider) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS + this.estimateTokens(message.content, provider);
+    for (const tc of message.tool_calls || []) {
+      tokens += this.estimateTokens(tc.function?.name, provider) + this.estimateTokens(tc.function?.arguments, provider);
+    }
+    return tokens;
+  }
+
+  /**
+   * Shorten an oversized tool result, keeping its head and tail
+   * @param {string} content - Tool result
+   * @param {string} provider - Provider name
+   * @param {number} maxTokens - Token limit for the result
+   * @returns {string}
+   */
+  truncateToolResult(content, provider, maxTokens = this.getContextSettings().maxToolResultTokens) {
+    if (!content || !maxTokens) return content;
+    const maxChars = Math.floor(maxTokens * (CHARS_PER_TOKEN[provider] || 4));
+    if (content.length <= maxChars) return content;
+
+    const head = content.slice(0, Math.floor(maxChars * 0.7));
+    const tail = content.slice(content.length - Math.floor(maxChars * 0.3));
+    const elided = content.length - head.length - tail.length;
+    return `${head}\n\n[... ${elided} characters elided ...]\n\n${tail}`;
+  }
+
+  /**
+   * Tokens available for conversation history in one LLM call
+   * @param {Object} options
+   * @param {string} options.provider - Provider name
+   * @param {string} options.model - Model name
+   * @param {string} options.systemPrompt - System prompt that will be sent
+   * @param {Array} options.tools - Tool definitions that will be sent
+   * @param {Object} options.settings - Loaded settings
+   * @returns {number}
+   */
+  getHistoryBudget({ provider, model, systemPrompt, tools = [], settings = this.config }) {
+    const { reserveTokens, summaryTokens } = this.getContextSettings(settings);
+    const window = this.getContextWindow(provider, model, settings);
+    const fixed = this.estimateTokens(systemPrompt, provider) +
+      (tools.length > 0 ? this.estimateTokens(JSON.stringify(tools), provider) : 0);
+    return Math.max(window - reserveTokens - summaryTokens - fixed, 0);
+  }
+
+  /**
+   * Fit history into a token budget, newest turns first.
+   * A turn starts at a user message, so assistant tool calls are never
+   * separated from their tool results. The latest turn is always kept.
+   * @param {Array} history - Messages, oldest first
+   * @param {number} budget - Token budget
+   * @param {string} provider - Provider name
+   * @param {Object} settings - Loaded settings
+   * @returns {{messages: Array, overflow: Array}} - Kept messages and older ones that didn't fit
+   */
+  fitHistory(history, budget, provider, settings = this.config) {
+    const { maxToolResultTokens } = this.getContextSettings(settings);
+    const messages = history.map((msg) => msg.role === "tool"
+      ? { ...msg, content: this.truncateToolResult(msg.content, provider, maxToolResultTokens) }
+      : msg);
+
+    // Split into turns
+    const turns = [];
+    for (const msg of messages) {
+      if (msg.role === "user" || turns.length === 0) turns.push([]);
+      turns[turns.length - 1].push(msg);
+    }
+
+    let used = 0;
+    let firstKept = turns.length;
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const tokens = turns[i].reduce((sum, msg) => sum + this.estimateMessageTokens(msg, provider), 0);
+      if (used + tokens > budget && firstKept < turns.length) break;
+      used += tokens;
+      firstKept = i;
+    }
+
+    const overflowCount = turns.slice(0, firstKept).reduce((sum, turn) => sum + turn.length, 0);
+    return {
+      messages: messages.slice(overflowCount),
+      overflow: history.slice(0, overflowCount),
+    };
+  }
+
+  /**
+   * Roll older turns into the running conversation summary
+   * @param {Object} llm - LLM provider
+   * @param {string} previousSummary - Existing summary (may be empty)
+   * @param {Array} turns - Messages to fold in, oldest first
+   * @param {Object} options - { model, signal, provider, settings }
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeHistory(llm, previousSummary, turns, { model, signal, provider, settings = this.config } = {}) {
+    const { summaryTokens, maxToolResultTokens } = this.getContextSettings(settings);
+    const transcript = turns.map((msg) => {
+      if (msg.role === "tool") {
+        return `[${msg.name} result] ${this.truncateToolResult(msg.content, provider, Math.min(maxToolResultTokens, 300))}`;
+      }
+      const calls = (msg.tool_calls || []).map((tc) => `[called ${tc.function?.name}]`).join(" ");
+      return `${msg.role}: ${msg.content || ""} ${calls}`.trim();
+    }).join("\n");
+
+    const result = await collectStream(llm.chatStream([
+      {
+        role: "system",
+        content: `You maintain a running summary of a conversation. Merge the new messages into the existing summary. ` +
+          `Keep facts, decisions, user preferences, open tasks and file names. Stay under ${summaryTokens} tokens. ` +
+          "Reply with the summary only.",
+      },
+      {
+        role: "user",
+        content: `Existing summary:\n${previousSummary || "(none)"}\n\nNew messages:\n${transcript}`,
+      },
+    ], { stream: false, model, signal }));
+
+    return result.content.trim() || previousSummary || "";
+  }
+
+  /**
+   * System message carrying the running summary
+   * @param {string} summary
+   * @returns {Object|null}
+   */
+  buildSummaryMessage(summary) {
+    if (!summary) return null;
+    return { role: "system", content: `Summary of the earlier conversation:\n${summary}` };
+  }
+
   /**
    * Build complete messages list for LLM call
    * @param {Array} history - Previous messages from memory
@@ -199,7 +454,7 @@ Small models often struggle with tool calling. Follow these rules:
     const messages = [];
 
     // System prompt
-    messages.push({ role: "system", content: this.buildSystemPrompt() });
+    messages.push({ role: "system", content: this.buildSystemPrompt(null, { query: currentMessage }) });
 
     // History
     if (history && history.length > 0) {
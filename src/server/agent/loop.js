@@ -3,17 +3,54 @@
  * Main "brain" of the agent - matches nanobot architecture
  */
 
-const { Memory } = require("./memory");
 const { Context } = require("./context");
 const { SubagentManager } = require("./subagent");
-const { getToolsLoader } = require("../tools/loader");
+const { getToolsLoader, skillCategory } = require("../tools/loader");
 const { getSkillsLoader } = require("../skills/loader");
+const { SkillInstaller } = require("../skills/installer");
+const { SkillMatcher } = require("../skills/matcher");
 const { getProvider } = require("../providers/provider-factory");
-const { getServerConfig, loadSettings } = require("../config/settings");
+const { collectStream } = require("../providers/stream-parser");
+const { getServerConfig, loadSettings, updateSettings } = require("../config/settings");
+const { SessionManager } = require("../session/session");
+const { HistoryIndex } = require("../search/history-index");
+const { MemoryStore } = require("../memory/store");
+const { MemoryExtractor } = require("../memory/extractor");
 
 const { ToolParser } = require("../utils/tool-parser");
+const { RunBudget, resolveLimits } = require("./budget");
+const { RunRegistry } = require("./runs");
 
-const MAX_ITERATIONS = 20; // Prevent infinite loops
+const BUDGET_LABELS = {
+  iterations: "iteration",
+  time: "time",
+  tool_calls: "tool call",
+  tokens: "token",
+};
+
+const DEFAULT_TOOL_CONCURRENCY = 4; // Parallel tool calls per iteration
+const TITLE_MAX_LENGTH = 60;
+const TITLE_TIMEOUT_MS = 30000; // Titles are generated after the run, outside its deadline
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+function addUsage(total, usage) {
+  total.promptTokens += usage.promptTokens;
+  total.completionTokens += usage.completionTokens;
+  total.totalTokens += usage.totalTokens;
+}
 
 class Agent {
   constructor() {
@@ -29,15 +66,95 @@ class Agent {
     
     this.tools = getToolsLoader();
     this.skills = getSkillsLoader();
-    this.memory = new Memory(config.userDataPath);
-    this.context = new Context(this.tools, this.skills);
+    this.sessions = new SessionManager(config);
+    this.searchIndex = new HistoryIndex(this.sessions, config);
+    this.memoryStore = new MemoryStore(config);
+    this.context = new Context(this.tools, this.skills, this.memoryStore);
     this.scheduler = null; // Will be set by server
     this.subagentManager = new SubagentManager(this);
+    this.runs = new RunRegistry();
+    this.memoryExtractor = new MemoryExtractor(this, this.memoryStore);
+    this.skillInstaller = new SkillInstaller(this);
+    this.skillMatcher = new SkillMatcher(this.skills, this.searchIndex);
+    this.titling = new Set(); // sessionIds whose title is being generated
+    this.sessions.isInUse = (sessionId) =>
+      this.titling.has(sessionId) || this.runs.list().some((run) => run.sessionId === sessionId);
     
-    // Initialize
-    this.tools.loadTools().catch(e => console.error("Failed to load tools:", e));
-    this.skills.loadSkills().catch(e => console.error("Failed to load skills:", e));
-    this.memory.load();
+    // Initialize (skill tools register once both built-in tools and skills are known)
+    this.skills.setDisabled(this.config.skills?.disabled);
+    this.ready = Promise.all([
+      this.tools.loadTools().catch(e => console.error("Failed to load tools:", e)),
+      this.skills.loadSkills(this._skillsOptions(this.config))
+        .catch(e => console.error("Failed to load skills:", e)),
+    ]).then(() => this.tools.loadSkillTools(this.skills));
+  }
+
+  /**
+   * Where skills are loaded from (bundled dir, ~/.chatdock/skills, settings.skills.paths)
+   * @private
+   */
+  _skillsOptions(settings) {
+    return { userDataPath: this.config.userDataPath, paths: settings.skills?.paths || [] };
+  }
+
+  /**
+   * Load skills and their tools again (picks up new, edited and removed skills)
+   * @returns {Promise<Array>} - The skills now loaded
+   */
+  async reloadSkills() {
+    const settings = this._refreshConfig();
+    await this.skills.loadSkills(this._skillsOptions(settings));
+    this.tools.loadSkillTools(this.skills);
+    this._applySkillSettings(settings);
+    return this.skills.describeSkills();
+  }
+
+  /**
+   * Hot reload skills when their files change (settings.skills.watch)
+   * Called once by the server process, not by agents inside subagent workers.
+   */
+  watchSkills() {
+    if (this.config.skills?.watch === false) return;
+    this.skills.watch(() => {
+      this.reloadSkills()
+        .then((skills) => console.log(`[agent] Skills reloaded (${skills.length})`))
+        .catch((e) => console.error("[agent] Failed to reload skills:", e.message));
+    });
+  }
+
+  /**
+   * Switch a skill (its instructions and bundled tools) on or off and save the choice
+   * @param {string} name - Skill name
+   * @param {boolean} enabled
+   * @returns {boolean} - False if there is no such skill
+   */
+  setSkillEnabled(name, enabled) {
+    if (!this.skills.getAllSkills({ includeDisabled: true }).some((skill) => skill.name === name)) {
+      return false;
+    }
+
+    const settings = updateSettings(this.config.userDataPath, (data) => {
+      const disabled = new Set(data.skills?.disabled || []);
+      if (enabled) disabled.delete(name);
+      else disabled.add(name);
+      data.skills = { ...data.skills, disabled: [...disabled] };
+    });
+    this.config.skills = settings.skills;
+    this._applySkillSettings(settings);
+    console.log(`[agent] Skill ${name} ${enabled ? "enabled" : "disabled"}`);
+    return true;
+  }
+
+  /**
+   * Apply settings.skills.disabled to skill instructions and skill tools;
+   * tools of skills whose requirements aren't met stay off too
+   * @private
+   */
+  _applySkillSettings(settings) {
+    this.skills.setDisabled(settings.skills?.disabled || []);
+    for (const skill of this.skills.getAllSkills({ includeDisabled: true })) {
+      if (skill.toolsPath) this.tools.setCategoryEnabled(skillCategory(skill.name), this.skills.isUsable(skill.name));
+    }
   }
 
   setScheduler(scheduler) {
@@ -51,6 +168,7 @@ class Agent {
     const config = getServerConfig();
     const settings = loadSettings(config.userDataPath);
     this.config = { ...config, ...settings };
+    this._applySkillSettings(settings); // settings.json may have been edited by hand
     
     // Check if provider changed
     if (this.llm.name !== (settings.defaultProvider || "ollama")) {
@@ -63,329 +181,535 @@ class Agent {
 
   /**
    * Build tool context for executors
+   * @param {Object} options - Run options (runId, signal, sessionId, platform, userId, channelMetadata)
    */
-  _buildToolContext() {
+  _buildToolContext(options = {}) {
     return {
       scheduler: this.scheduler,
       subagentManager: this.subagentManager,
+      searchIndex: this.searchIndex,
+      memoryStore: this.memoryStore,
+      // Installs wait for approval in the desktop app, which only sees the server's installer
+      skillInstaller: options.isSubagent ? null : this.skillInstaller,
+      skills: this.skills,
+      activeSkills: options.activeSkills || null, // use_skill/stop_skill change the run's set
       config: this.config,
+      runId: options.runId,
+      signal: options.signal,
+      deadline: options.deadline || null, // When the run's time limit ends; tools shouldn't wait past it
+      sessionId: options.sessionId || "default",
+      channel: options.platform,
+      userId: options.userId,
+      channelMetadata: options.channelMetadata,
     };
   }
 
   /**
-   * Run the agent loop with streaming response
-   * Matches nanobot's architecture with proper tool call iteration
+   * Whether a run should be written to its conversation session
+   * Heartbeats, cron jobs and subagents don't pollute the user's history
+   * @private
+   */
+  _shouldPersist(options) {
+    return !options.isHeartbeat && !options.isCron && !options.isSubagent;
+  }
+
+  /**
+   * Get (or start) the conversation session for a run
+   * @private
+   */
+  _getSession(sessionId, options = {}) {
+    return this.sessions.getOrCreate(sessionId, {
+      userId: options.userId,
+      channelId: options.platform,
+    });
+  }
+
+  /**
+   * Core agent loop shared by every entry point
+   * Matches nanobot's architecture with proper tool call iteration.
+   * Registers the run so it can be cancelled (see runs.js), emits events
+   * (see stream-writer.js) through onEvent and resolves with the final result.
+   * @param {string} userMessage - The user's message
+   * @param {Object} options - Run options (runId, model, sessionId, specialist, taskDescription, stream, budget, ...)
+   * @param {Function} onEvent - Callback receiving run events
+   * @returns {Promise<{content: string, iterations: number, usage: Object, cancelled?: boolean}>}
    */
-  async run(userMessage, res, options = {}) {
+  async execute(userMessage, options = {}, onEvent = () => {}) {
+    const run = this.runs.start({
+      id: options.runId,
+      sessionId: options.sessionId,
+      source: options.source || this._runSource(options),
+    });
+
+    // Track streamed text so a cancelled run can still return what it produced
+    let partial = "";
+    let iterations = 0;
+    const emit = (event) => {
+      if (event.type === "token") partial += event.content;
+      if (event.type === "iteration") iterations = event.iteration;
+      onEvent(event);
+    };
+
+    emit({ type: "start", runId: run.id });
+
     try {
-      // Explicit reset/clear command
-      if (userMessage.toLowerCase() === "reset" || userMessage.toLowerCase() === "clear") {
-        this.memory.clear();
-        res.write("Conversation history cleared. How can I help you today?");
-        res.end();
-        return;
-      }
+      return await this._executeLoop(userMessage, { ...options, runId: run.id, signal: run.signal }, emit);
+    } catch (err) {
+      if (!run.signal.aborted) throw err;
+
+      console.log(`[agent] Run ${run.id} cancelled`);
+      emit({ type: "cancelled", runId: run.id });
+      emit({ type: "done", content: partial, iterations, cancelled: true });
+      return { content: partial, iterations, cancelled: true };
+    } finally {
+      this.runs.finish(run.id);
+    }
+  }
 
-      // Add user message to memory
-      this.memory.add("user", userMessage, options);
-      
-      const settings = this._refreshConfig();
-      
-      // Determine system prompt (check if options specify a specialist)
-      const systemPrompt = options.specialist 
-        ? this.context.buildSpecialistPrompt(options.specialist)
-        : this.context.buildSystemPrompt();
-
-      let tools = this.tools.getAllTools();
-
-      // Filter tools for tiny models to reduce noise
-      if (this.context._isTinyModel(options.model || settings.model)) {
-        const essentialCategories = ["fs", "planner", "message"];
-        tools = tools.filter(t => essentialCategories.includes(t.__category));
-        console.log(`[agent] Filtered tools to ${tools.length} for tiny model`);
-      }
+  /**
+   * @private
+   */
+  _runSource(options) {
+    if (options.isCron) return "cron";
+    if (options.isHeartbeat) return "heartbeat";
+    if (options.isSubagent) return "subagent";
+    return "direct";
+  }
 
-      // Strip internal metadata before sending to LLM
-      const cleanedTools = tools.map(({ __category, __type, ...rest }) => rest);
+  /**
+   * The iteration loop behind execute()
+   * @private
+   */
+  async _executeLoop(userMessage, options, onEvent) {
+    const sessionId = options.sessionId || "default";
+    const persist = this._shouldPersist(options);
+    const totalUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    // Explicit reset/clear command (only from the user, never from a subagent, cron or heartbeat run)
+    if (persist && (userMessage.toLowerCase() === "reset" || userMessage.toLowerCase() === "clear")) {
+      this.clearSession(this._getSession(sessionId, options));
+      const content = "Conversation history cleared. How can I help you today?";
+      onEvent({ type: "token", content });
+      onEvent({ type: "done", content, iterations: 0, usage: totalUsage });
+      return { content, iterations: 0, usage: totalUsage };
+    }
 
-      // Build initial messages
-      let messages = [
-        { role: "system", content: systemPrompt },
-        ...this.memory.getRecentMessages(15, options.sessionId),
-      ];
+    // Add user message to the session
+    const session = persist ? this._getSession(sessionId, options) : null;
+    if (persist) {
+      session.addMessage("user", userMessage, options.userId ? { name: options.userId } : {});
+    }
 
-      // Add task description if this is a subagent/specialist task
-      if (options.taskDescription) {
-        messages.push({ role: "system", content: `TASK: ${options.taskDescription}` });
-      }
+    const settings = this._refreshConfig();
+    const model = options.model || settings.model;
+    const budget = new RunBudget(resolveLimits(settings, options));
+    const contextSettings = this.context.getContextSettings(settings);
+
+    // Skills loaded earlier in this conversation stay active; others may be suggested
+    const activeSkills = new Set(session ? session.activeSkills : []);
+    const suggestedSkills = options.specialist || options.noTools
+      ? []
+      : await this.skillMatcher.suggest(userMessage, { settings, exclude: activeSkills });
+
+    // Determine system prompt (check if options specify a specialist)
+    const buildPrompt = () => options.specialist
+      ? this.context.buildSpecialistPrompt(options.specialist, { query: userMessage, settings })
+      : this.context.buildSystemPrompt(null, { query: userMessage, activeSkills: [...activeSkills], suggestedSkills, settings });
+    const systemPrompt = buildPrompt();
+
+    let tools = options.noTools ? [] : this.tools.getAllTools();
+
+    // Filter tools for tiny models to reduce noise
+    if (this.context._isTinyModel(model)) {
+      const essentialCategories = ["fs", "planner", "message"];
+      tools = tools.filter(t => essentialCategories.includes(t.__category));
+      console.log(`[agent] Filtered tools to ${tools.length} for tiny model`);
+    }
 
-      let iteration = 0;
-      let finalContent = "";
+    // Strip internal metadata before sending to LLM
+    const cleanedTools = tools.map(({ __category, __type, ...rest }) => rest);
 
-      // Agent loop - keep iterating while there are tool calls
-      while (iteration < MAX_ITERATIONS) {
-        iteration++;
+    // Build initial messages, fitting history into the model's context window
+    const history = persist
+      ? await this._buildHistory(session, { settings, model, systemPrompt, tools: cleanedTools, signal: options.signal })
+      : [{ role: "user", content: userMessage }];
+    const messages = [{ role: "system", content: systemPrompt }, ...history];
 
-        const response = await this.llm.chat(messages, {
-          tools: cleanedTools,
-          stream: iteration === 1 && !options.noStream, // Only stream first response
-          model: options.model || settings.model,
-        });
+    // Add task description if this is a subagent/specialist task
+    if (options.taskDescription) {
+      messages.push({ role: "system", content: `TASK: ${options.taskDescription}` });
+    }
+
+    let iteration = 0;
+    let finalContent = "";
+    let exhausted = null;
 
-        let content = "";
-        let toolCalls = [];
-
-        if (iteration === 1 && response.body && response.body.getReader) {
-          // Streaming mode for first iteration
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-
-          while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split("\n").filter(Boolean);
-
-            for (const line of lines) {
-              try {
-                const json = JSON.parse(line);
-                if (json.message?.content) {
-                  res.write(json.message.content);
-                  content += json.message.content;
-                }
-                if (json.message?.tool_calls) {
-                  toolCalls.push(...json.message.tool_calls);
-                }
-              } catch (e) {
-                // ignore partial json
-              }
+    // The time limit also stops an LLM stream or tool call that is still running
+    const deadline = new AbortController();
+    const deadlineTimer = budget.deadline()
+      ? setTimeout(() => deadline.abort(new Error("Run time limit reached")), budget.deadline() - Date.now())
+      : null;
+    const signal = AbortSignal.any([options.signal, deadline.signal]);
+
+    try {
+      // Agent loop - keep iterating while there are tool calls and budget left
+      while (!(exhausted = budget.exhausted())) {
+        signal.throwIfAborted();
+        budget.startIteration();
+        iteration++;
+        onEvent({ type: "iteration", iteration });
+
+        const result = await collectStream(
+          this.llm.chatStream(messages, {
+            tools: cleanedTools,
+            stream: options.stream !== false,
+            model,
+            contextWindow: this.context.getContextWindow(this.llm.name, model, settings),
+            signal,
+          }),
+          (event) => {
+            if (event.type === "content") {
+              onEvent({ type: "token", content: event.content });
             }
           }
-        } else {
-          // Non-streaming mode for subsequent iterations
-          const data = await response.json();
-          content = data.message?.content || "";
-          toolCalls = data.message?.tool_calls || [];
+        );
+
+        if (result.usage) {
+          budget.recordUsage(result.usage);
+          onEvent({ type: "usage", usage: result.usage });
+          addUsage(totalUsage, result.usage);
         }
 
-        // Handle tool calls
+        const content = result.content;
+        let toolCalls = result.toolCalls;
+
+        // If no native tool calls, try parsing content for text-based tool calls
         if (toolCalls.length === 0 && content) {
-          // If no native tool calls, try parsing content for text-based tool calls
           toolCalls = ToolParser.parse(content);
           if (toolCalls.length > 0) {
             console.log(`[agent] Parsed ${toolCalls.length} tool calls from text`);
           }
         }
 
-        if (toolCalls.length > 0) {
-          // Add assistant message with tool calls to messages
-          messages.push({
-            role: "assistant",
-            content: content || "",
-            tool_calls: toolCalls.map(tc => ({
-              id: tc.id || `call_${Date.now()}_${Math.random().toString(36).slice(2)}`,
-              type: "function",
-              function: {
-                name: tc.function.name,
-                arguments: typeof tc.function.arguments === "string" 
-                  ? tc.function.arguments 
-                  : JSON.stringify(tc.function.arguments),
-              },
-            })),
-          });
-
-          // Execute each tool and add results
-          for (const tc of toolCalls) {
-            const toolName = tc.function.name;
-            const args = tc.function.arguments;
-            const toolId = tc.id || `call_${Date.now()}`;
-
-            try {
-              const toolContext = this._buildToolContext();
-              const result = await this.tools.executeTool(toolName, args, toolContext);
-              const resultStr = typeof result === "string" ? result : JSON.stringify(result);
-
-              // Notify user of tool execution
-              res.write(`\n[${toolName}] ${resultStr.substring(0, 200)}${resultStr.length > 200 ? "..." : ""}\n`);
-
-              // Add tool result to messages (for next LLM call)
-              messages.push({
-                role: "tool",
-                tool_call_id: toolId,
-                name: toolName,
-                content: resultStr,
-              });
-            } catch (err) {
-              res.write(`\n[${toolName}] Error: ${err.message}\n`);
-              messages.push({
-                role: "tool",
-                tool_call_id: toolId,
-                name: toolName,
-                content: `Error: ${err.message}`,
-              });
-            }
-          }
+        // No tool calls - we're done
+        if (toolCalls.length === 0) {
+          finalContent = content;
+          break;
+        }
 
-          // Continue loop to let LLM process tool results
-          continue;
+        // Normalize ids once so tool results reference the same call
+        toolCalls = toolCalls.map(tc => ({
+          id: tc.id || `call_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+          type: "function",
+          function: {
+            name: tc.function.name,
+            arguments: typeof tc.function.arguments === "string" 
+              ? tc.function.arguments 
+              : JSON.stringify(tc.function.arguments),
+          },
+        }));
+
+        // Add assistant message with tool calls to messages
+        const assistantMessage = {
+          role: "assistant",
+          content: content || "",
+          tool_calls: toolCalls,
+        };
+        messages.push(assistantMessage);
+
+        // Execute tools (independent ones concurrently) and add results in call order
+        const concurrency = settings.agents?.toolConcurrency ?? DEFAULT_TOOL_CONCURRENCY;
+        const skillsBefore = [...activeSkills].join("\n");
+        const toolMessages = await this._executeToolCalls(toolCalls, { ...options, activeSkills, signal, deadline: budget.deadline() }, onEvent, budget, concurrency);
+        messages.push(...toolMessages.map((msg) => ({
+          ...msg,
+          content: this.context.truncateToolResult(msg.content, this.llm.name, contextSettings.maxToolResultTokens),
+        })));
+
+        // Persist the tool call together with its results so history never has dangling calls
+        if (persist) {
+          session.addMessages([
+            { ...assistantMessage, model, provider: this.llm.name },
+            ...toolMessages.map((msg) => ({
+              ...msg,
+              content: this.context.truncateToolResult(msg.content, this.llm.name, contextSettings.historyToolResultTokens),
+            })),
+          ]);
         }
 
-        // No tool calls - we're done
-        finalContent = content;
-        break;
+        // use_skill/stop_skill: put the skill's instructions into (or out of) the prompt right away
+        if ([...activeSkills].join("\n") !== skillsBefore) {
+          messages[0] = { role: "system", content: buildPrompt() };
+          if (persist) session.setActiveSkills([...activeSkills]);
+        }
       }
+    } catch (err) {
+      if (!deadline.signal.aborted || options.signal.aborted) throw err;
+      exhausted = { reason: "time", limit: budget.limits.maxDurationMs, used: Date.now() - budget.startTime };
+      // Drop tool calls that were cut off before they returned
+      if (messages[messages.length - 1].tool_calls) messages.pop();
+    } finally {
+      clearTimeout(deadlineTimer);
+    }
 
-      if (iteration >= MAX_ITERATIONS) {
-        res.write("\n\n[Max iterations reached]\n");
-      }
+    if (exhausted) {
+      console.log(`[agent] Run budget exhausted: ${exhausted.reason} (${exhausted.used}/${exhausted.limit})`);
+      onEvent({ type: "budget_exceeded", ...exhausted });
+      finalContent = await this._summarizeExhaustedRun(messages, exhausted, { model, signal: options.signal }, onEvent, totalUsage);
+    }
 
-      // Save final response to memory
-      if (finalContent) {
-        this.memory.add("assistant", finalContent, options);
-      }
+    // Save final response to the session
+    if (finalContent && persist) {
+      session.addMessage("assistant", finalContent, { model, provider: this.llm.name });
 
-      res.end();
-    } catch (err) {
-      console.error("Agent Loop Error:", err);
-      if (!res.headersSent) {
-        res.status(500).send(err.message);
-      } else {
-        res.write(`\n\n[Error: ${err.message}]\n`);
-        res.end();
-      }
+      // Look for things worth remembering once the conversation goes quiet
+      this.memoryExtractor.touch(session.id);
     }
+
+    onEvent({ type: "done", content: finalContent, iterations: iteration, usage: totalUsage });
+
+    // Name new conversations after their first exchange, without holding up the reply
+    if (finalContent && persist && !session.title && !this.titling.has(session.id)) {
+      this.titling.add(session.id);
+      this._titleSession(session, userMessage, finalContent, { model })
+        .catch((err) => console.warn("[agent] Failed to title session:", err.message))
+        .finally(() => this.titling.delete(session.id));
+    }
+
+    return { content: finalContent, iterations: iteration, usage: totalUsage };
   }
 
   /**
-   * Process a message directly (for Telegram/CLI) returning a string
-   * Matches nanobot's process_direct with proper iteration
+   * Clear a conversation, first queueing memory extraction over what it contained
+   * @param {Session} session
    */
-  async processDirect(userMessage, context = {}) {
-    // Explicit reset/clear command
-    if (userMessage.toLowerCase() === "reset" || userMessage.toLowerCase() === "clear") {
-      this.memory.clear();
-      return "Conversation history cleared. How can I help you today?";
-    }
+  clearSession(session) {
+    this.memoryExtractor.extractSession(session.id, { reason: "clear", messages: session.getMessages(), generation: session.generation })
+      .catch((e) => console.warn(`[agent] Memory extraction failed for ${session.id}:`, e.message));
+    session.clear();
+  }
+
+  /**
+   * Load session history that fits the context window.
+   * Turns that no longer fit are rolled into the session's running summary.
+   * @private
+   * @returns {Promise<Array>} - Summary message (if any) followed by recent messages
+   */
+  async _buildHistory(session, { settings, model, systemPrompt, tools, signal }) {
+    const provider = this.llm.name;
+    let { summary, summarizedCount, messages: history } = session.getContext();
+
+    const budget = this.context.getHistoryBudget({ provider, model, systemPrompt, tools, settings });
+    const { messages, overflow } = this.context.fitHistory(history, budget, provider, settings);
 
-    // Don't pollute memory with cron tasks
-    if (!context.isHeartbeat && !context.isCron) {
-      this.memory.add("user", userMessage, context);
+    if (overflow.length > 0) {
+      try {
+        summary = await this.context.summarizeHistory(this.llm, summary, overflow, { model, signal, provider, settings });
+        session.setSummary(summary, summarizedCount + overflow.length);
+        console.log(`[agent] Rolled ${overflow.length} messages into the summary of ${session.id}`);
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        // Continue without the old turns; they stay unsummarized and are retried next run
+        console.warn("[agent] Failed to summarize history:", err.message);
+      }
     }
 
-    const settings = this._refreshConfig();
+    const summaryMessage = this.context.buildSummaryMessage(summary);
+    return summaryMessage ? [summaryMessage, ...messages] : messages;
+  }
 
+  /**
+   * Generate a short title for a session from its first exchange
+   * Falls back to the start of the user's message if the LLM call fails.
+   * The desktop app hears about it on its notification stream.
+   * @private
+   */
+  async _titleSession(session, userMessage, reply, { model }) {
+    let title = "";
     try {
-      // Determine system prompt
-      const systemPrompt = context.specialist 
-        ? this.context.buildSpecialistPrompt(context.specialist)
-        : this.context.buildSystemPrompt();
+      const result = await collectStream(this.llm.chatStream([
+        {
+          role: "system",
+          content: "Write a title of at most 6 words for the conversation below. Reply with the title only, no quotes.",
+        },
+        {
+          role: "user",
+          content: `User: ${userMessage.slice(0, 500)}\nAssistant: ${reply.slice(0, 500)}`,
+        },
+      ], { stream: false, model, signal: AbortSignal.timeout(TITLE_TIMEOUT_MS) }));
+      title = result.content.split("\n")[0].replace(/^["'#*\s]+|["'*\s.]+$/g, "").slice(0, TITLE_MAX_LENGTH);
+    } catch (err) {
+      console.warn("[agent] Failed to generate session title:", err.message);
+    }
 
-      let tools = this.tools.getAllTools();
+    if (!title) {
+      title = userMessage.length > TITLE_MAX_LENGTH
+        ? `${userMessage.slice(0, TITLE_MAX_LENGTH - 3).trim()}...`
+        : userMessage;
+    }
 
-      // Filter tools for tiny models
-      if (this.context._isTinyModel(settings.model)) {
-        const essentialCategories = ["fs", "planner", "message"];
-        tools = tools.filter(t => essentialCategories.includes(t.__category));
-      }
-      // Strip internal metadata
-      const cleanedTools = tools.map(({ __category, __type, ...rest }) => rest);
+    session.update({ title });
 
-      let messages = [
-        { role: "system", content: systemPrompt },
-        ...this.memory.getRecentMessages(10, context.sessionId),
-      ];
+    const { getMessageBus } = require("../bus/queue");
+    await getMessageBus().publishOutbound({
+      channelType: "desktop",
+      userId: "desktop",
+      sessionId: session.id,
+      text: title,
+      metadata: { kind: "session_title", title },
+    });
+  }
 
-      if (context.taskDescription) {
-        messages.push({ role: "system", content: `TASK: ${context.taskDescription}` });
+  /**
+   * Ask the model (without tools) to wrap up once the run budget is spent
+   * @private
+   * @returns {Promise<string>} - Summary of the work done so far
+   */
+  async _summarizeExhaustedRun(messages, exhausted, { model, signal }, onEvent, totalUsage) {
+    const label = BUDGET_LABELS[exhausted.reason] || exhausted.reason;
+    const fallback = `I stopped because this run reached its ${label} limit before the task was finished.`;
+
+    try {
+      const result = await collectStream(
+        this.llm.chatStream([
+          ...messages,
+          {
+            role: "user",
+            content: `You have reached the ${label} limit for this request and cannot call any more tools. ` +
+              "Briefly summarize what you have completed so far, what remains unfinished, and how the user can continue.",
+          },
+        ], { stream: true, model, signal }),
+        (event) => {
+          if (event.type === "content") {
+            onEvent({ type: "token", content: event.content });
+          }
+        }
+      );
+
+      if (result.usage) {
+        onEvent({ type: "usage", usage: result.usage });
+        addUsage(totalUsage, result.usage);
       }
 
-      let iteration = 0;
-      let finalContent = "";
+      if (result.content.trim()) return result.content;
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.warn("[agent] Failed to summarize exhausted run:", err.message);
+    }
 
-      while (iteration < MAX_ITERATIONS) {
-        iteration++;
+    onEvent({ type: "token", content: fallback });
+    return fallback;
+  }
 
-        const response = await this.llm.chat(messages, {
-          tools: cleanedTools,
-          stream: false,
-          model: settings.model,
-        });
+  /**
+   * Execute the tool calls of one assistant message.
+   * Consecutive parallel-safe calls run concurrently (up to `concurrency` at a time);
+   * tools marked as serialized run alone, after every earlier call has finished.
+   * @private
+   * @returns {Promise<Array>} - Tool messages, in the same order as toolCalls
+   */
+  async _executeToolCalls(toolCalls, options, onEvent, budget, concurrency) {
+    const results = new Array(toolCalls.length);
+    let batch = []; // indexes of parallel-safe calls waiting to run
+
+    const runBatch = async () => {
+      await mapWithConcurrency(batch, concurrency, async (index) => {
+        results[index] = await this._executeToolCall(toolCalls[index], options, onEvent);
+      });
+      batch = [];
+    };
 
-        const data = await response.json();
-        const content = data.message?.content || "";
-        let toolCalls = data.message?.tool_calls || [];
+    for (let index = 0; index < toolCalls.length; index++) {
+      const tc = toolCalls[index];
+
+      if (!budget.canCallTool()) {
+        // Every tool call needs a matching result message
+        results[index] = {
+          role: "tool",
+          tool_call_id: tc.id,
+          name: tc.function.name,
+          content: "Skipped: the tool call budget for this run is exhausted.",
+        };
+        continue;
+      }
+      budget.recordToolCall();
 
-        if (toolCalls.length === 0 && content) {
-          toolCalls = ToolParser.parse(content);
-        }
+      if (this.tools.isSerialized(tc.function.name)) {
+        await runBatch();
+        options.signal.throwIfAborted();
+        results[index] = await this._executeToolCall(tc, options, onEvent);
+      } else {
+        batch.push(index);
+      }
+    }
+    await runBatch();
 
-        if (toolCalls.length > 0) {
-          // Add assistant message with tool calls
-          messages.push({
-            role: "assistant",
-            content: content || "",
-            tool_calls: toolCalls.map(tc => ({
-              id: tc.id || `call_${Date.now()}`,
-              type: "function",
-              function: {
-                name: tc.function.name,
-                arguments: typeof tc.function.arguments === "string"
-                  ? tc.function.arguments
-                  : JSON.stringify(tc.function.arguments),
-              },
-            })),
-          });
-
-          // Execute tools
-          for (const tc of toolCalls) {
-            const toolName = tc.function.name;
-            const args = tc.function.arguments;
-            const toolId = tc.id || `call_${Date.now()}`;
-
-            try {
-              const toolContext = this._buildToolContext();
-              const result = await this.tools.executeTool(toolName, args, toolContext);
-              const resultStr = typeof result === "string" ? result : JSON.stringify(result);
-
-              messages.push({
-                role: "tool",
-                tool_call_id: toolId,
-                name: toolName,
-                content: resultStr,
-              });
-            } catch (err) {
-              messages.push({
-                role: "tool",
-                tool_call_id: toolId,
-                name: toolName,
-                content: `Error: ${err.message}`,
-              });
-            }
-          }
+    return results;
+  }
 
-          continue;
-        }
+  /**
+   * Execute a single tool call, emitting tool_call/tool_result events
+   * @private
+   * @returns {Promise<Object>} - Tool message for the next LLM call
+   */
+  async _executeToolCall(tc, options, onEvent) {
+    options.signal?.throwIfAborted();
+    const toolName = tc.function.name;
+    const args = tc.function.arguments;
 
-        finalContent = content;
-        break;
-      }
+    onEvent({ type: "tool_call", id: tc.id, name: toolName, arguments: args });
 
-      if (!finalContent && iteration >= MAX_ITERATIONS) {
-        finalContent = "I've processed the request but reached the iteration limit.";
-      }
+    try {
+      const toolContext = this._buildToolContext(options);
+      const result = await this.tools.executeTool(toolName, args, toolContext);
+      const resultStr = typeof result === "string" ? result : JSON.stringify(result);
 
-      // Save to memory (skip for heartbeat/cron)
-      if (finalContent && !context.isHeartbeat && !context.isCron) {
-        this.memory.add("assistant", finalContent, context);
-      }
+      onEvent({ type: "tool_result", id: tc.id, name: toolName, result: resultStr });
+      return { role: "tool", tool_call_id: tc.id, name: toolName, content: resultStr };
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      onEvent({ type: "tool_result", id: tc.id, name: toolName, error: err.message });
+      return { role: "tool", tool_call_id: tc.id, name: toolName, content: `Error: ${err.message}` };
+    }
+  }
 
-      return finalContent;
+  /**
+   * HTTP adapter: run the agent loop streaming events to a writer
+   * @param {string} userMessage - The user's message
+   * @param {Object} writer - Stream writer (see stream-writer.js) receiving run events
+   * @param {Object} options - Run options (model, sessionId, specialist, ...)
+   */
+  async run(userMessage, writer, options = {}) {
+    try {
+      await this.execute(
+        userMessage,
+        { ...options, source: "http", stream: !options.noStream },
+        (event) => writer.write(event)
+      );
+      writer.end();
+    } catch (err) {
+      console.error("Agent Loop Error:", err);
+      writer.fail(err);
+    }
+  }
+
+  /**
+   * Direct adapter: process a message and return the final text
+   * Used by the bus (Telegram/WhatsApp), cron, heartbeat and subagents
+   * @param {string} userMessage - The user's message
+   * @param {Object} context - Run options (sessionId, isCron, isHeartbeat, isSubagent, ...)
+   * @returns {Promise<string>}
+   */
+  async processDirect(userMessage, context = {}) {
+    try {
+      const result = await this.execute(userMessage, { ...context, stream: false }, context.onEvent);
+      return result.content;
     } catch (e) {
       console.error("Agent Direct Error:", e);
       return `Sorry, I encountered an error: ${e.message}`;
     }
   }
+
   /**
    * Start listening for messages on the bus
    * Matches nanobot's main loop architecture
@@ -406,6 +730,8 @@ class Agent {
           userId: msg.userId,
           sessionId: msg.sessionId || msg.userId,
           platform: msg.channelType,
+          channelMetadata: msg.metadata,
+          source: "bus",
         });
         
         // Publish response
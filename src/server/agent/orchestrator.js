@@ -0,0 +1,197 @@
+/**
+ * Subagent Orchestration
+ * Runs a graph of subtasks on subagents and waits for the combined result, so a
+ * parent agent can fan work out and merge it within the same turn.
+ *
+ * A subtask starts once everything it depends on has completed, and gets the
+ * results of those subtasks as context. Subtasks downstream of a failure are
+ * skipped. At most agents.maxSubagentFanOut subtasks run at once; the rest wait.
+ */
+
+const MAX_SUBTASKS = 20;
+const MAX_DEPENDENCY_RESULT = 4000; // Characters of each dependency result handed downstream
+const FINISHED = new Set(["completed", "failed", "cancelled", "interrupted", "skipped"]);
+
+/**
+ * Normalize subtasks and check the dependency graph
+ * @param {Array} tasks - [{ id, task, name, specialist, depends_on }]
+ * @returns {Array} - Subtasks in a valid execution order
+ * @throws {Error} - On duplicate or unknown ids, cycles or an oversized graph
+ */
+function validateTaskGraph(tasks) {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw new Error("At least one subtask is required");
+  }
+  if (tasks.length > MAX_SUBTASKS) {
+    throw new Error(`Too many subtasks (${tasks.length}); the limit is ${MAX_SUBTASKS}`);
+  }
+
+  const nodes = tasks.map((item, index) => {
+    if (!item || typeof item.task !== "string" || !item.task.trim()) {
+      throw new Error(`Subtask ${index + 1} has no task description`);
+    }
+    return {
+      id: String(item.id || `task-${index + 1}`),
+      task: item.task.trim(),
+      name: item.name || null,
+      specialist: item.specialist || null,
+      dependsOn: Array.isArray(item.depends_on) ? [...new Set(item.depends_on.map(String))] : [],
+    };
+  });
+
+  const byId = new Map();
+  for (const node of nodes) {
+    if (byId.has(node.id)) throw new Error(`Duplicate subtask id: ${node.id}`);
+    byId.set(node.id, node);
+  }
+  for (const node of nodes) {
+    const unknown = node.dependsOn.find((dep) => !byId.has(dep));
+    if (unknown) throw new Error(`Subtask ${node.id} depends on unknown subtask: ${unknown}`);
+  }
+
+  // Topological order (Kahn); whatever is left over sits on a cycle
+  const remaining = new Map(nodes.map((node) => [node.id, node.dependsOn.length]));
+  const ordered = [];
+  let queue = nodes.filter((node) => node.dependsOn.length === 0);
+  while (queue.length > 0) {
+    const next = [];
+    for (const node of queue) {
+      ordered.push(node);
+      remaining.delete(node.id);
+      for (const other of nodes) {
+        if (!remaining.has(other.id) || !other.dependsOn.includes(node.id)) continue;
+        remaining.set(other.id, remaining.get(other.id) - 1);
+        if (remaining.get(other.id) === 0) next.push(other);
+      }
+    }
+    queue = next;
+  }
+  if (remaining.size > 0) {
+    throw new Error(`Subtask dependencies form a cycle: ${[...remaining.keys()].join(", ")}`);
+  }
+  return ordered;
+}
+
+/**
+ * Task text for a subtask, with the results of what it depends on
+ * @private
+ */
+function buildTask(node, states) {
+  if (node.dependsOn.length === 0) return node.task;
+
+  const inputs = node.dependsOn.map((dep) => {
+    const state = states.get(dep);
+    let result = String(state.result ?? "");
+    if (result.length > MAX_DEPENDENCY_RESULT) result = result.slice(0, MAX_DEPENDENCY_RESULT) + "\n[...]";
+    return `### ${state.name || state.id}\n${result}`;
+  });
+  return `${node.task}\n\nResults of the subtasks this one builds on:\n\n${inputs.join("\n\n")}`;
+}
+
+/**
+ * Run a subtask graph on subagents and wait until every subtask has finished
+ * @param {SubagentManager} manager
+ * @param {Array} tasks - See validateTaskGraph
+ * @param {Object} options
+ * @param {string} options.parentId - Run that owns the subtasks (fan-out is counted per parent)
+ * @param {number} options.timeoutMs - Give up (and cancel what still runs) after this long (0 = no limit)
+ * @param {AbortSignal} options.signal - Cancels all subtasks when the parent run is cancelled
+ * @param {Object} options.origin - Session/channel fields passed on to spawn
+ * @returns {Promise<Object>} - { completed, failed, skipped, timedOut, results }
+ */
+async function runTaskGraph(manager, tasks, { parentId, timeoutMs = 0, signal, origin = {} } = {}) {
+  const graph = validateTaskGraph(tasks);
+  const { maxSubagentFanOut } = manager.getSettings();
+  const states = new Map(graph.map((node) => [node.id, {
+    ...node, status: "pending", subagentId: null, result: null, error: null, duration: null,
+  }]));
+  const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : Infinity;
+  let timedOut = false;
+
+  const pending = () => [...states.values()].filter((s) => s.status === "pending");
+  const running = () => [...states.values()].filter((s) => s.status === "running");
+
+  const settle = (state, status) => {
+    if (!status) return;
+    state.status = status.status;
+    state.result = status.result;
+    state.error = status.error;
+    state.duration = status.duration;
+  };
+
+  try {
+    while (true) {
+      // Skip whatever can no longer run because something upstream did not complete
+      for (const state of graph.map((node) => states.get(node.id))) {
+        if (state.status !== "pending") continue;
+        const failedDep = state.dependsOn.find((dep) => FINISHED.has(states.get(dep).status) && states.get(dep).status !== "completed");
+        if (failedDep) {
+          state.status = "skipped";
+          state.error = `Skipped because subtask ${failedDep} did not complete`;
+        }
+      }
+
+      // Start subtasks whose dependencies are done, within the fan-out limit
+      for (const state of pending()) {
+        if (!state.dependsOn.every((dep) => states.get(dep).status === "completed")) continue;
+        if (maxSubagentFanOut > 0 && manager.countChildren(parentId) >= maxSubagentFanOut) break;
+
+        state.subagentId = manager.spawn({
+          ...origin,
+          task: buildTask(state, states),
+          name: state.name || state.id,
+          specialist: state.specialist,
+          notify: false,
+          parentId,
+        }).id;
+        state.status = "running";
+      }
+
+      const active = running();
+      if (active.length === 0) {
+        if (pending().length > 0) {
+          throw new Error("Subtasks can't start: this agent already runs as many subagents as agents.maxSubagentFanOut allows");
+        }
+        break;
+      }
+
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) {
+        timedOut = true;
+        break;
+      }
+      const statuses = await manager.wait(active.map((s) => s.subagentId), { any: true, timeoutMs: remainingMs === Infinity ? 0 : remainingMs, signal });
+      signal?.throwIfAborted();
+      for (const status of statuses) {
+        if (status && status.status !== "running") settle(active.find((s) => s.subagentId === status.id), status);
+      }
+    }
+  } finally {
+    // Nothing this graph started outlives it (timeout, cancellation or error)
+    for (const state of running()) {
+      manager.cancel(state.subagentId);
+      state.status = "cancelled";
+      state.error = timedOut ? "Stopped: waiting for subtasks timed out" : "Stopped: the parent run ended";
+    }
+    for (const state of pending()) {
+      state.status = "skipped";
+      state.error = timedOut ? "Not started: waiting for subtasks timed out" : "Not started: the parent run ended";
+    }
+  }
+
+  const results = graph.map((node) => {
+    const { id, name, subagentId, status, result, error, duration, dependsOn } = states.get(node.id);
+    return { id, name, subagentId, status, dependsOn, result, error, duration };
+  });
+  const count = (status) => results.filter((r) => r.status === status).length;
+
+  return {
+    completed: count("completed"),
+    failed: results.length - count("completed") - count("skipped"),
+    skipped: count("skipped"),
+    timedOut,
+    results,
+  };
+}
+
+module.exports = { runTaskGraph, validateTaskGraph, MAX_SUBTASKS };
@@ -0,0 +1,96 @@
+/**
+ * Run Registry
+ * Tracks in-flight agent runs so they can be listed and cancelled
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { EventEmitter } = require("events");
+
+class RunRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.runs = new Map(); // runId -> { id, sessionId, source, controller, startTime }
+  }
+
+  /**
+   * Register a new run
+   * @param {Object} options
+   * @param {string} options.id - Optional run ID (generated if missing)
+   * @param {string} options.sessionId - Session the run belongs to
+   * @param {string} options.source - Entry point (http, bus, cron, heartbeat, subagent)
+   * @returns {Object} - Run record with an AbortSignal at run.signal
+   */
+  start({ id, sessionId, source } = {}) {
+    const controller = new AbortController();
+    const run = {
+      id: id || uuidv4(),
+      sessionId: sessionId || "default",
+      source: source || "direct",
+      controller,
+      signal: controller.signal,
+      startTime: Date.now(),
+    };
+
+    this.runs.set(run.id, run);
+    this.emit("start", this._info(run));
+    return run;
+  }
+
+  /**
+   * Get a run by ID
+   * @param {string} id - Run ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    const run = this.runs.get(id);
+    return run ? this._info(run) : null;
+  }
+
+  /**
+   * List in-flight runs
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.runs.values()).map((run) => this._info(run));
+  }
+
+  /**
+   * Abort a run: cancels pending LLM fetches and running tools
+   * @param {string} id - Run ID
+   * @param {string} reason - Optional reason
+   * @returns {boolean} - False if the run is unknown or already finished
+   */
+  cancel(id, reason = "Cancelled by user") {
+    const run = this.runs.get(id);
+    if (!run || run.signal.aborted) return false;
+
+    run.controller.abort(new Error(reason));
+    console.log(`[runs] Cancelled run ${id}: ${reason}`);
+    this.emit("cancel", this._info(run));
+    return true;
+  }
+
+  /**
+   * Remove a finished run
+   * @param {string} id - Run ID
+   */
+  finish(id) {
+    const run = this.runs.get(id);
+    if (!run) return;
+    this.runs.delete(id);
+    this.emit("finish", this._info(run));
+  }
+
+  _info(run) {
+    return {
+      id: run.id,
+      sessionId: run.sessionId,
+      source: run.source,
+      cancelled: run.signal.aborted,
+      startTime: run.startTime,
+      duration: Date.now() - run.startTime,
+    };
+  }
+}
+
+module.exports = { RunRegistry };
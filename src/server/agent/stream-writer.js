@@ -0,0 +1,180 @@
+/**
+ * Stream Writer
+ * Frames agent run events for HTTP clients
+ *
+ * Events emitted by the agent loop:
+ *   { type: "start", runId }                         - the run was registered
+ *   { type: "iteration", iteration }                 - a new LLM call starts
+ *   { type: "token", content }                       - assistant text delta
+ *   { type: "tool_call", id, name, arguments }       - a tool is about to run
+ *   { type: "tool_result", id, name, result, error } - a tool finished
+ *   { type: "usage", usage }                         - token usage of one LLM call
+ *   { type: "budget_exceeded", reason, limit, used } - a run budget ran out
+ *   { type: "cancelled", runId }                     - the run was aborted
+ *   { type: "error", error }                         - the run failed
+ *   { type: "done", content, iterations, usage }     - the run finished
+ *
+ * Structured writers (NDJSON, SSE) stamp every event with the session id
+ * and the current iteration number.
+ */
+
+const TOOL_PREVIEW_LENGTH = 200;
+
+class StreamWriter {
+  constructor(res, { sessionId = "default" } = {}) {
+    this.res = res;
+    this.sessionId = sessionId;
+    this.iteration = 0;
+  }
+
+  start() {
+    this.res.setHeader("Content-Type", this.contentType);
+    this.res.setHeader("Cache-Control", "no-cache");
+  }
+
+  write(event) {
+    if (event.type === "iteration") {
+      this.iteration = event.iteration;
+    }
+    this._send({ ...event, sessionId: this.sessionId, iteration: this.iteration });
+  }
+
+  fail(err) {
+    if (!this.res.headersSent) {
+      this.res.status(500).json({ type: "error", error: err.message, sessionId: this.sessionId });
+    } else {
+      this.write({ type: "error", error: err.message });
+      this.res.end();
+    }
+  }
+
+  end() {
+    this.res.end();
+  }
+
+  _send(event) {
+    throw new Error("_send not implemented");
+  }
+}
+
+/**
+ * Plain text writer (legacy /chat format)
+ * Writes assistant text as-is and tool results as inline "[tool] result" lines
+ */
+class TextStreamWriter extends StreamWriter {
+  constructor(res, options) {
+    super(res, options);
+    this.format = "text";
+    this.contentType = "text/plain; charset=utf-8";
+  }
+
+  write(event) {
+    if (event.type === "token") {
+      this.res.write(event.content);
+    } else if (event.type === "tool_result") {
+      if (event.error) {
+        this.res.write(`\n[${event.name}] Error: ${event.error}\n`);
+      } else {
+        const preview = event.result.substring(0, TOOL_PREVIEW_LENGTH);
+        const ellipsis = event.result.length > TOOL_PREVIEW_LENGTH ? "..." : "";
+        this.res.write(`\n[${event.name}] ${preview}${ellipsis}\n`);
+      }
+    }
+  }
+
+  fail(err) {
+    if (!this.res.headersSent) {
+      this.res.status(500).send(err.message);
+    } else {
+      this.res.write(`\n\n[Error: ${err.message}]\n`);
+      this.res.end();
+    }
+  }
+}
+
+/**
+ * NDJSON writer
+ * Writes one JSON-encoded event per line
+ */
+class NdjsonStreamWriter extends StreamWriter {
+  constructor(res, options) {
+    super(res, options);
+    this.format = "ndjson";
+    this.contentType = "application/x-ndjson; charset=utf-8";
+  }
+
+  _send(event) {
+    this.res.write(`${JSON.stringify(event)}\n`);
+  }
+}
+
+/**
+ * Server-Sent Events writer
+ * Writes each event as a named SSE message
+ */
+class SseStreamWriter extends StreamWriter {
+  constructor(res, options) {
+    super(res, options);
+    this.format = "sse";
+    this.contentType = "text/event-stream; charset=utf-8";
+  }
+
+  start() {
+    super.start();
+    this.res.setHeader("Connection", "keep-alive");
+    if (typeof this.res.flushHeaders === "function") {
+      this.res.flushHeaders();
+    }
+  }
+
+  _send(event) {
+    this.res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+}
+
+/**
+ * Pick a writer based on the request's Accept header
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Object} options - Writer options
+ * @param {string} options.sessionId - Session the run belongs to
+ * @returns {StreamWriter}
+ */
+function createStreamWriter(req, res, options = {}) {
+  const accept = String(req.headers?.accept || "");
+  if (accept.includes("text/event-stream")) {
+    return new SseStreamWriter(res, options);
+  }
+  if (accept.includes("application/x-ndjson")) {
+    return new NdjsonStreamWriter(res, options);
+  }
+  return new TextStreamWriter(res, options);
+}
+
+/**
+ * Open a long-lived event stream that is not tied to a run (notifications, dashboards)
+ * SSE when the client accepts text/event-stream, NDJSON otherwise
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @returns {Function} - send(event)
+ */
+function createEventStream(req, res) {
+  const sse = String(req.headers?.accept || "").includes("text/event-stream");
+  res.setHeader("Content-Type", sse ? "text/event-stream; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  return (event) => {
+    res.write(sse ? `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n` : `${JSON.stringify(event)}\n`);
+  };
+}
+
+module.exports = {
+  StreamWriter,
+  TextStreamWriter,
+  NdjsonStreamWriter,
+  SseStreamWriter,
+  createStreamWriter,
+  createEventStream,
+};
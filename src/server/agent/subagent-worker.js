@@ -0,0 +1,79 @@
+/**
+ * Subagent Worker
+ * Runs one subagent task on its own thread with its own Agent instance
+ * (tools, sessions, memory), so the parent can time it out or terminate it
+ * and a crash never takes down the server.
+ *
+ * Messages to the parent:  { type: "event" | "result" | "error" | "notify", ... }
+ * Messages from the parent: { type: "cancel", reason }
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const { Agent } = require("./loop");
+
+// Progress events worth sending to the parent; tokens are batched into "text" events
+const FORWARDED_EVENTS = new Set(["iteration", "tool_call", "tool_result", "usage", "budget_exceeded"]);
+const MAX_FORWARDED_RESULT = 2000;
+
+async function run() {
+  const { id, task, specialist, noTools, depth, origin = {} } = workerData;
+  const agent = new Agent();
+  await agent.ready;
+  agent.subagentManager.depth = depth; // Subagents this one spawns sit one level deeper
+  // Sessions and channels belong to the server: outcomes of nested subagents go up to it
+  agent.subagentManager.relay = (notice) => parentPort.postMessage({ type: "notify", notice });
+  // Nested subagents end with this worker, so their records stay in memory instead of
+  // sitting in ~/.chatdock/subagents as "running" after the worker is gone
+  agent.subagentManager.subagentsDir = null;
+  const stopNested = () => agent.subagentManager.cancelAll("Parent subagent stopped");
+
+  // Cancellation first aborts the run so tools (e.g. shell commands) can clean up
+  parentPort.on("message", (message) => {
+    if (message?.type !== "cancel") return;
+    stopNested();
+    agent.runs.cancel(id, message.reason || "Subagent cancelled");
+  });
+
+  let text = "";
+  const flushText = () => {
+    if (text.trim()) parentPort.postMessage({ type: "event", event: { type: "text", content: text } });
+    text = "";
+  };
+
+  const result = await agent.execute(task, {
+    isSubagent: true,
+    subagentId: id,
+    runId: id,
+    specialist,
+    noTools,
+    sessionId: origin.sessionId,
+    platform: origin.channelType,
+    userId: origin.userId,
+    channelMetadata: origin.channelMetadata,
+    stream: false,
+  }, (event) => {
+    if (event.type === "token") {
+      text += event.content;
+      return;
+    }
+    if (!FORWARDED_EVENTS.has(event.type)) return;
+    flushText();
+    const forwarded = event.type === "tool_result" && event.result
+      ? { ...event, result: event.result.slice(0, MAX_FORWARDED_RESULT) }
+      : event;
+    parentPort.postMessage({ type: "event", event: forwarded });
+  }).finally(stopNested); // However the run ends, nothing it started outlives this worker
+
+  flushText();
+  parentPort.postMessage({
+    type: "result",
+    content: result.content,
+    iterations: result.iterations,
+    usage: result.usage,
+    cancelled: result.cancelled || false,
+  });
+}
+
+run().catch((err) => {
+  parentPort.postMessage({ type: "error", error: err.message });
+});
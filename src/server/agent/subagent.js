@@ -1,16 +1,78 @@
 /**
  * Subagent Manager
  * Spawns and manages background agents for long-running tasks
+ *
+ * Each subagent runs in its own worker thread (see subagent-worker.js), so it can
+ * be cancelled or timed out for real and a crash stays contained in the worker.
+ *
+ * Records persist in ~/.chatdock/subagents/:
+ *   <id>.json  - status, result, error, timings and who asked (session/channel)
+ *   <id>.jsonl - transcript of progress events (text, tool calls, tool results)
  */
 
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
 const { v4: uuidv4 } = require("uuid");
 const { EventEmitter } = require("events");
+const { writeFileAtomic, appendJsonLines, readJsonLines } = require("../utils/file-store");
+
+const WORKER_SCRIPT = path.join(__dirname, "subagent-worker.js");
+
+const SUBAGENT_DEFAULTS = {
+  subagentTimeoutMs: 600000, // Wall-clock limit per subagent (0 = unlimited)
+  subagentMemoryMb: 512, // Heap limit of each subagent worker
+  subagentRetentionDays: 7, // Finished subagents are deleted after this many days
+  resumeSubagents: false, // Restart subagents interrupted by a shutdown (otherwise mark them interrupted)
+  maxSubagentDepth: 2, // How deep subagents may spawn subagents of their own (0 = unlimited)
+  maxSubagentFanOut: 4, // Subagents one run may have running at once (0 = unlimited)
+};
+const CANCEL_GRACE_MS = 2000; // Time a cancelled worker gets to abort its tools before termination
+const CLEANUP_INTERVAL_MS = 3600000;
+const MAX_RESUMES = 1; // A subagent that keeps dying with the server is not restarted forever
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields written to <id>.json (the worker handle stays in memory)
+const RECORD_FIELDS = [
+  "id", "name", "task", "specialist", "status", "result", "error", "startTime", "endTime",
+  "notify", "noTools", "timeoutMs", "sessionId", "channelType", "userId", "channelMetadata", "iterations", "usage", "resumeCount", "parentId", "depth", "internal",
+];
 
 class SubagentManager extends EventEmitter {
   constructor(agent) {
     super();
+    this.setMaxListeners(0); // Event streams and waiting tools each add listeners
     this.agent = agent;
-    this.subagents = new Map(); // id -> { task, status, result, startTime, endTime }
+    this.subagents = new Map(); // id -> { task, status, result, startTime, endTime, worker }
+    this.subagentsDir = agent.config?.userDataPath ? path.join(agent.config.userDataPath, "subagents") : null;
+    this.cleanupTimer = null;
+    this.depth = 0; // Nesting level of the agent owning this manager (set inside subagent workers)
+    this.relay = null; // Inside a worker: hands notifications to the parent thread instead of delivering them
+    this.pendingMessages = new Map(); // sessionId -> notification texts waiting for that session's run to finish
+    this.flushPending = null; // runs "finish" listener, added when the first message has to wait
+  }
+
+  /**
+   * Subagent limits from settings.agents, over the defaults
+   */
+  getSettings() {
+    return { ...SUBAGENT_DEFAULTS, ...(this.agent.config?.agents || {}) };
+  }
+
+  /**
+   * Load saved subagents, deal with ones a shutdown interrupted, and schedule cleanup.
+   * Called once by the server process (not by agents inside subagent workers).
+   */
+  start() {
+    this._restore();
+    this.cleanup();
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
   }
 
   /**
@@ -20,12 +82,29 @@ class SubagentManager extends EventEmitter {
    * @param {string} options.specialist - Optional specialist name (skill)
    * @param {string} options.name - Optional human-readable name
    * @param {boolean} options.notify - Whether to notify when complete
+   * @param {boolean} options.noTools - Run as a plain LLM call without tools
+   * @param {number} options.timeoutMs - Override the configured time limit (0 = unlimited)
+   * @param {string} options.sessionId - Session that asked for the subagent
+   * @param {string} options.channelType - Channel that asked (desktop, telegram, ...)
+   * @param {string} options.userId - User/chat on that channel
+   * @param {Object} options.channelMetadata - Channel routing details (e.g. Telegram chatId)
+   * @param {string} options.parentId - Run that spawned it; limits fan-out per parent
+   * @param {boolean} options.internal - Housekeeping run (e.g. memory extraction), left out of list()
    * @returns {Object} - Subagent info { id, name, task, status }
+   * @throws {Error} - When the depth or fan-out limit is reached
    */
-  spawn({ task, specialist, name, notify = true }) {
+  spawn({ task, specialist, name, notify = true, noTools = false, timeoutMs, sessionId, channelType, userId, channelMetadata, parentId, internal = false }) {
+    const { maxSubagentDepth, maxSubagentFanOut } = this.getSettings();
+    if (maxSubagentDepth > 0 && this.depth >= maxSubagentDepth) {
+      throw new Error(`Subagents can't be nested more than ${maxSubagentDepth} levels deep (agents.maxSubagentDepth)`);
+    }
+    if (parentId && maxSubagentFanOut > 0 && this.countChildren(parentId) >= maxSubagentFanOut) {
+      throw new Error(`Already running ${maxSubagentFanOut} subagents from this run (agents.maxSubagentFanOut); wait for some to finish`);
+    }
+
     const id = uuidv4();
     const subagentName = name || (specialist ? `${specialist}-${id.slice(0, 4)}` : `Subagent-${id.slice(0, 8)}`);
-    
+
     const subagent = {
       id,
       name: subagentName,
@@ -37,16 +116,32 @@ class SubagentManager extends EventEmitter {
       startTime: Date.now(),
       endTime: null,
       notify,
+      noTools,
+      timeoutMs: timeoutMs ?? this.getSettings().subagentTimeoutMs,
+      sessionId,
+      channelType,
+      userId,
+      channelMetadata,
+      iterations: 0,
+      usage: null,
+      resumeCount: 0,
+      parentId: parentId || null,
+      depth: this.depth + 1,
+      internal,
+      currentTool: null,
+      worker: null,
     };
-    
+
     this.subagents.set(id, subagent);
+    this._save(subagent);
     console.log(`[subagent] Spawned: ${subagentName} (${id}) ${specialist ? `as ${specialist}` : ""}`);
-    
+    this.emit("spawned", this.getStatus(id));
+
     // Execute in background
     this._execute(id).catch(err => {
       console.error(`[subagent] Error in ${id}:`, err);
     });
-    
+
     return {
       id,
       name: subagentName,
@@ -57,47 +152,213 @@ class SubagentManager extends EventEmitter {
   }
 
   /**
-   * Execute the subagent task
+   * Run the subagent task in a worker thread
    * @private
+   * @returns {Promise<void>} - Resolves when the worker has exited
    */
-  async _execute(id) {
+  _execute(id) {
     const subagent = this.subagents.get(id);
-    if (!subagent) return;
-    
-    try {
-      const result = await this.agent.processDirect(subagent.task, {
-        isSubagent: true,
-        subagentId: id,
-        specialist: subagent.specialist,
-        taskDescription: subagent.task,
+    if (!subagent) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const worker = new Worker(WORKER_SCRIPT, {
+        workerData: {
+          id,
+          task: subagent.task,
+          specialist: subagent.specialist,
+          noTools: subagent.noTools,
+          depth: subagent.depth || this.depth + 1,
+          // Who asked, so nested subagents report back to the same conversation
+          origin: {
+            sessionId: subagent.sessionId,
+            channelType: subagent.channelType,
+            userId: subagent.userId,
+            channelMetadata: subagent.channelMetadata,
+          },
+        },
+        resourceLimits: { maxOldGenerationSizeMb: this.getSettings().subagentMemoryMb },
+      });
+      subagent.worker = worker;
+
+      const timer = subagent.timeoutMs > 0
+        ? setTimeout(() => {
+          const seconds = Math.round(subagent.timeoutMs / 1000);
+          this._stop(subagent, "failed", `Timed out after ${seconds}s`);
+        }, subagent.timeoutMs)
+        : null;
+
+      worker.on("message", (message) => {
+        if (message.type === "event") {
+          this._onEvent(subagent, message.event);
+        } else if (message.type === "result") {
+          subagent.usage = message.usage || null;
+          this._finish(subagent, "completed", { result: message.content });
+        } else if (message.type === "error") {
+          this._finish(subagent, "failed", { error: message.error });
+        } else if (message.type === "notify") {
+          this._deliver(message.notice);
+        }
+      });
+
+      // Uncaught exceptions and heap limits end up here instead of in the server
+      worker.on("error", (err) => {
+        this._finish(subagent, "failed", { error: `Subagent crashed: ${err.message}` });
       });
-      
-      subagent.status = "completed";
-      subagent.result = result;
-      subagent.endTime = Date.now();
-      
-      console.log(`[subagent] Completed: ${subagent.name} (${id})`);
-      this.emit("complete", { id, name: subagent.name, result });
-      
-      // Notify back through Message Bus (Nanobot way)
-      const { getMessageBus } = require("../bus/queue");
-      const bus = getMessageBus();
-      
-      await bus.publishOutbound({
-        channelType: subagent.channelType || "system",
-        userId: subagent.userId || "system",
-        sessionId: subagent.sessionId || "default",
-        text: `✅ **Task Completed: ${subagent.name}**\n\nResult:\n${result}`,
-        metadata: { subagentId: id }
+
+      worker.on("exit", (code) => {
+        clearTimeout(timer);
+        subagent.worker = null;
+        if (subagent.status === "running") {
+          this._finish(subagent, "failed", { error: `Subagent exited unexpectedly (code ${code})` });
+        }
+        resolve();
       });
-      
-    } catch (err) {
-      subagent.status = "failed";
-      subagent.error = err.message;
-      subagent.endTime = Date.now();
-      
-      console.error(`[subagent] Failed: ${subagent.name} (${id}):`, err.message);
-      this.emit("error", { id, name: subagent.name, error: err.message });
+    });
+  }
+
+  /**
+   * Record a progress event from the worker
+   * @private
+   */
+  _onEvent(subagent, event) {
+    if (event.type === "iteration") subagent.iterations = event.iteration;
+    if (event.type === "tool_call") subagent.currentTool = event.name;
+    if (event.type === "tool_result") subagent.currentTool = null;
+    this._appendTranscript(subagent, event);
+    this.emit("event", { id: subagent.id, event });
+  }
+
+  /**
+   * Record the outcome, stop the worker and notify listeners
+   * @private
+   */
+  _finish(subagent, status, { result = null, error = null } = {}) {
+    if (subagent.status !== "running") return;
+
+    subagent.status = status;
+    subagent.result = result;
+    subagent.error = error;
+    subagent.endTime = Date.now();
+    subagent.currentTool = null;
+    subagent.worker?.terminate();
+    this._save(subagent);
+
+    if (status === "failed") {
+      console.error(`[subagent] Failed: ${subagent.name} (${subagent.id}):`, error);
+      this.emit("failed", { id: subagent.id, name: subagent.name, error });
+    } else {
+      console.log(`[subagent] Completed: ${subagent.name} (${subagent.id})`);
+      this.emit("complete", { id: subagent.id, name: subagent.name, result });
+    }
+    this._notify(subagent);
+  }
+
+  /**
+   * Deliver the outcome to whoever asked: the originating conversation gets the
+   * result as a message, and the originating channel (Telegram, WhatsApp or the
+   * desktop app) is notified through the message bus
+   * @private
+   */
+  _notify(subagent) {
+    if (!subagent.notify) return;
+
+    this._deliver({
+      sessionId: subagent.sessionId,
+      channelType: subagent.channelType,
+      userId: subagent.userId,
+      channelMetadata: subagent.channelMetadata,
+      text: subagent.status === "completed"
+        ? `✅ **Task Completed: ${subagent.name}**\n\nResult:\n${subagent.result}`
+        : `❌ **Task Failed: ${subagent.name}**\n\n${subagent.error}`,
+      subagentId: subagent.id,
+      name: subagent.name,
+      status: subagent.status,
+    });
+  }
+
+  /**
+   * Write a notification to its conversation and publish it on the message bus.
+   * Inside a worker it is relayed to the parent thread, which owns both.
+   * @private
+   */
+  _deliver(notice) {
+    if (this.relay) {
+      this.relay(notice);
+      return;
+    }
+
+    if (notice.sessionId) this._writeToSession(notice.sessionId, notice.text);
+
+    // Notify back through Message Bus (Nanobot way)
+    const { getMessageBus } = require("../bus/queue");
+    getMessageBus().publishOutbound({
+      channelType: notice.channelType || "desktop",
+      userId: notice.userId || "desktop",
+      sessionId: notice.sessionId || "default",
+      text: notice.text,
+      metadata: {
+        ...(notice.channelMetadata || {}),
+        kind: "subagent",
+        subagentId: notice.subagentId,
+        name: notice.name,
+        status: notice.status,
+      },
+    }).catch(err => console.error(`[subagent] Failed to publish result of ${notice.subagentId}:`, err.message));
+  }
+
+  /**
+   * Add a notification to its conversation. While a run is writing to that session
+   * the message waits, so it doesn't land between the run's user message and reply.
+   * @private
+   */
+  _writeToSession(sessionId, text) {
+    const runs = this.agent.runs;
+    if (runs?.list().some((run) => run.sessionId === sessionId)) {
+      if (!this.pendingMessages.has(sessionId)) this.pendingMessages.set(sessionId, []);
+      this.pendingMessages.get(sessionId).push(text);
+      if (!this.flushPending) {
+        this.flushPending = (run) => {
+          const texts = this.pendingMessages.get(run.sessionId);
+          if (!texts || runs.list().some((other) => other.sessionId === run.sessionId)) return;
+          this.pendingMessages.delete(run.sessionId);
+          for (const pending of texts) this._writeToSession(run.sessionId, pending);
+        };
+        runs.on("finish", this.flushPending);
+      }
+      return;
+    }
+
+    const session = this.agent.sessions?.get(sessionId);
+    if (session) {
+      session.addMessage("assistant", text);
+    }
+  }
+
+  /**
+   * Stop a running worker: ask it to abort its run, then terminate it
+   * @private
+   */
+  _stop(subagent, status, reason) {
+    if (subagent.status !== "running") return;
+
+    subagent.status = status;
+    subagent.error = status === "failed" ? reason : null;
+    subagent.endTime = Date.now();
+    subagent.currentTool = null;
+    this._save(subagent);
+
+    const worker = subagent.worker;
+    if (worker) {
+      worker.postMessage({ type: "cancel", reason });
+      setTimeout(() => worker.terminate(), CANCEL_GRACE_MS).unref();
+    }
+
+    console.log(`[subagent] Stopped: ${subagent.name} (${subagent.id}): ${reason}`);
+    if (status === "failed") {
+      this.emit("failed", { id: subagent.id, name: subagent.name, error: reason });
+      this._notify(subagent);
+    } else {
+      this.emit("cancelled", { id: subagent.id, name: subagent.name });
     }
   }
 
@@ -109,7 +370,7 @@ class SubagentManager extends EventEmitter {
   getStatus(id) {
     const subagent = this.subagents.get(id);
     if (!subagent) return null;
-    
+
     return {
       id: subagent.id,
       name: subagent.name,
@@ -117,60 +378,233 @@ class SubagentManager extends EventEmitter {
       status: subagent.status,
       result: subagent.result,
       error: subagent.error,
-      duration: subagent.endTime 
-        ? subagent.endTime - subagent.startTime 
+      sessionId: subagent.sessionId,
+      channelType: subagent.channelType,
+      parentId: subagent.parentId || null,
+      internal: Boolean(subagent.internal),
+      iterations: subagent.iterations,
+      currentTool: subagent.currentTool || null,
+      startTime: subagent.startTime,
+      endTime: subagent.endTime,
+      duration: subagent.endTime
+        ? subagent.endTime - subagent.startTime
         : Date.now() - subagent.startTime,
     };
   }
 
+  /**
+   * Progress events recorded for a subagent
+   * @param {string} id - Subagent ID
+   * @returns {Array|null} - Events with timestamps, oldest first
+   */
+  getTranscript(id) {
+    if (!this.subagents.has(id)) return null;
+    if (!this.subagentsDir) return [];
+    return readJsonLines(this._filePath(id, ".jsonl"));
+  }
+
   /**
    * List all subagents
    * @param {Object} options - Filter options
    * @param {string} options.status - Filter by status
+   * @param {boolean} options.includeInternal - Also list internal runs (memory extraction)
    * @returns {Array}
    */
-  list({ status } = {}) {
+  list({ status, includeInternal = false } = {}) {
     const results = [];
     for (const [id, subagent] of this.subagents) {
       if (status && subagent.status !== status) continue;
+      if (subagent.internal && !includeInternal) continue;
       results.push(this.getStatus(id));
     }
     return results;
   }
 
   /**
-   * Cancel a running subagent (not implemented - requires worker threads)
+   * Number of running subagents spawned by one parent run
+   * @param {string} parentId - Run ID of the parent
+   * @returns {number}
+   */
+  countChildren(parentId) {
+    let count = 0;
+    for (const subagent of this.subagents.values()) {
+      if (subagent.parentId === parentId && subagent.status === "running") count++;
+    }
+    return count;
+  }
+
+  /**
+   * Wait for subagents to finish
+   * @param {Array<string>} ids - Subagent IDs
+   * @param {Object} options
+   * @param {boolean} options.any - Resolve as soon as one of them has finished
+   * @param {number} options.timeoutMs - Stop waiting after this long (0 = no limit)
+   * @param {AbortSignal} options.signal - Stop waiting when aborted
+   * @returns {Promise<Array>} - Current status of each subagent (some may still be running)
+   */
+  wait(ids, { any = false, timeoutMs = 0, signal } = {}) {
+    const unknown = ids.filter((id) => !this.subagents.has(id));
+    if (unknown.length > 0) {
+      return Promise.reject(new Error(`Subagent not found: ${unknown.join(", ")}`));
+    }
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const isDone = () => {
+        const finished = ids.filter((id) => this.subagents.get(id)?.status !== "running").length;
+        return any ? finished > 0 : finished === ids.length;
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        this.off("complete", onFinished);
+        this.off("failed", onFinished);
+        this.off("cancelled", onFinished);
+        signal?.removeEventListener("abort", finish);
+        resolve(ids.map((id) => this.getStatus(id)).filter(Boolean));
+      };
+      const onFinished = (event) => ids.includes(event.id) && isDone() && finish();
+
+      if (isDone() || signal?.aborted) return finish();
+      this.on("complete", onFinished);
+      this.on("failed", onFinished);
+      this.on("cancelled", onFinished);
+      signal?.addEventListener("abort", finish, { once: true });
+      if (timeoutMs > 0) timer = setTimeout(finish, timeoutMs);
+    });
+  }
+
+  /**
+   * Cancel a running subagent
    * @param {string} id - Subagent ID
    * @returns {boolean}
    */
   cancel(id) {
     const subagent = this.subagents.get(id);
     if (!subagent || subagent.status !== "running") return false;
-    
-    // For now, just mark as cancelled
-    // In a worker_threads implementation, we would terminate the worker
-    subagent.status = "cancelled";
-    subagent.endTime = Date.now();
-    console.log(`[subagent] Cancelled: ${subagent.name} (${id})`);
-    
+
+    this._stop(subagent, "cancelled", "Subagent cancelled");
     return true;
   }
 
   /**
-   * Clean up completed/failed subagents older than maxAge
-   * @param {number} maxAge - Max age in milliseconds (default: 1 hour)
+   * Cancel every running subagent (inside a worker: the nested ones, before the worker goes away)
+   * @param {string} reason
+   * @returns {number} - How many were cancelled
    */
-  cleanup(maxAge = 3600000) {
+  cancelAll(reason = "Subagent cancelled") {
+    let count = 0;
+    for (const subagent of this.subagents.values()) {
+      if (subagent.status !== "running") continue;
+      this._stop(subagent, "cancelled", reason);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Delete finished subagents (and their files) older than maxAge
+   * @param {number} maxAge - Max age in milliseconds (default: agents.subagentRetentionDays)
+   */
+  cleanup(maxAge = this.getSettings().subagentRetentionDays * DAY_MS) {
     const now = Date.now();
     for (const [id, subagent] of this.subagents) {
       if (subagent.status !== "running" && subagent.endTime) {
         if (now - subagent.endTime > maxAge) {
           this.subagents.delete(id);
+          this._deleteFiles(id);
           console.log(`[subagent] Cleaned up: ${id}`);
         }
       }
     }
   }
+
+  /**
+   * Load saved records; subagents that were running when the server stopped
+   * are restarted (agents.resumeSubagents) or marked interrupted
+   * @private
+   */
+  _restore() {
+    if (!this.subagentsDir || !fs.existsSync(this.subagentsDir)) return;
+
+    const { resumeSubagents } = this.getSettings();
+    for (const file of fs.readdirSync(this.subagentsDir)) {
+      if (!file.endsWith(".json")) continue;
+
+      let subagent;
+      try {
+        subagent = { ...JSON.parse(fs.readFileSync(path.join(this.subagentsDir, file), "utf-8")), worker: null };
+      } catch (e) {
+        console.warn(`[subagent] Skipping unreadable record ${file}:`, e.message);
+        continue;
+      }
+      if (!subagent.id || this.subagents.has(subagent.id)) continue;
+      this.subagents.set(subagent.id, subagent);
+      if (subagent.status !== "running") continue;
+
+      if (resumeSubagents && (subagent.resumeCount || 0) < MAX_RESUMES) {
+        subagent.resumeCount = (subagent.resumeCount || 0) + 1;
+        subagent.iterations = 0;
+        this._appendTranscript(subagent, { type: "resumed" });
+        this._save(subagent);
+        console.log(`[subagent] Resuming: ${subagent.name} (${subagent.id})`);
+        this._execute(subagent.id).catch(err => {
+          console.error(`[subagent] Error in ${subagent.id}:`, err);
+        });
+      } else {
+        subagent.status = "interrupted";
+        subagent.error = "The server stopped while this subagent was running";
+        subagent.endTime = Date.now();
+        this._save(subagent);
+        console.log(`[subagent] Marked interrupted: ${subagent.name} (${subagent.id})`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _filePath(id, ext) {
+    return path.join(this.subagentsDir, `${encodeURIComponent(id)}${ext}`);
+  }
+
+  /**
+   * Write the subagent record (no-op without a data directory)
+   * @private
+   */
+  _save(subagent) {
+    if (!this.subagentsDir) return;
+    try {
+      fs.mkdirSync(this.subagentsDir, { recursive: true });
+      const record = {};
+      for (const field of RECORD_FIELDS) record[field] = subagent[field] ?? null;
+      writeFileAtomic(this._filePath(subagent.id, ".json"), JSON.stringify(record, null, 2));
+    } catch (e) {
+      console.warn(`[subagent] Failed to save ${subagent.id}:`, e.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _appendTranscript(subagent, event) {
+    if (!this.subagentsDir) return;
+    try {
+      fs.mkdirSync(this.subagentsDir, { recursive: true });
+      appendJsonLines(this._filePath(subagent.id, ".jsonl"), [{ ...event, timestamp: Date.now() }]);
+    } catch (e) {
+      console.warn(`[subagent] Failed to record event for ${subagent.id}:`, e.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _deleteFiles(id) {
+    if (!this.subagentsDir) return;
+    for (const ext of [".json", ".jsonl"]) {
+      fs.rmSync(this._filePath(id, ext), { force: true });
+    }
+  }
 }
 
-module.exports = { SubagentManager };
+module.exports = { SubagentManager, SUBAGENT_DEFAULTS };
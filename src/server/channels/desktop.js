@@ -0,0 +1,71 @@
+/**
+ * Desktop Channel
+ * Delivers outbound bus messages (e.g. finished subagents) to the desktop app
+ * over a long-lived event stream: GET /notifications (NDJSON, or SSE via Accept)
+ */
+
+const { createEventStream } = require("../agent/stream-writer");
+
+const MAX_BACKLOG = 20; // Notifications kept while no window is connected
+
+class DesktopChannel {
+  constructor() {
+    this.clients = new Set(); // send functions, one per connected window
+    this.backlog = [];
+  }
+
+  /**
+   * Subscribe to desktop-bound messages on the bus
+   */
+  initOutbound() {
+    const { getMessageBus } = require("../bus/queue");
+    const bus = getMessageBus();
+
+    bus.subscribe("desktop", async (msg) => {
+      this.broadcast({
+        type: "notification",
+        sessionId: msg.sessionId,
+        text: msg.text,
+        ...msg.metadata,
+        timestamp: Date.now(),
+      });
+    });
+  }
+
+  /**
+   * Attach a renderer to the notification stream
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  addClient(req, res) {
+    const send = createEventStream(req, res);
+    send({ type: "connected" });
+
+    // Deliver what arrived while no window was listening
+    for (const event of this.backlog.splice(0)) send(event);
+
+    this.clients.add(send);
+    res.on("close", () => this.clients.delete(send));
+  }
+
+  /**
+   * Send an event to every connected renderer (or keep it until one connects)
+   * @param {Object} event
+   */
+  broadcast(event) {
+    if (this.clients.size === 0) {
+      this.backlog = [...this.backlog, event].slice(-MAX_BACKLOG);
+      return;
+    }
+    for (const send of this.clients) {
+      try {
+        send(event);
+      } catch (e) {
+        console.warn("[desktop] Failed to deliver notification:", e.message);
+        this.clients.delete(send);
+      }
+    }
+  }
+}
+
+module.exports = { DesktopChannel };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * ChatDock CLI
+ *
+ *   chatdock skill install <file|url> [--force]
+ *   chatdock skill list
+ *   chatdock skill update [name] [--force]
+ *   chatdock skill remove <name>
+ *   chatdock skill pack <dir> [--out file]
+ *   chatdock onboard | status
+ *
+ * A running server picks up skill changes on its own (skills.watch).
+ */
+
+const { getServerConfig } = require("./config/settings");
+const { SkillPackages } = require("./skills/packages");
+
+const SKILL_USAGE = `Usage:
+  chatdock skill install <file|url> [--force]   Install a skill package (.tgz or .zip)
+  chatdock skill list                           Skills installed from packages
+  chatdock skill update [name] [--force]        Reinstall newer versions from where they came from
+  chatdock skill remove <name>                  Uninstall a packaged skill
+  chatdock skill pack <dir> [--out file]        Build a package from a skill directory`;
+
+/**
+ * Split arguments into positionals and --flags (--out takes a value)
+ * @private
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--out") flags.out = args[++i];
+    else if (args[i].startsWith("--")) flags[args[i].slice(2)] = true;
+    else positional.push(args[i]);
+  }
+  return { positional, flags };
+}
+
+async function runSkillCommand(args) {
+  const { positional: [command, target], flags } = parseArgs(args);
+  const packages = new SkillPackages(getServerConfig().userDataPath);
+
+  switch (command) {
+    case "install": {
+      if (!target) throw new Error("Which package? chatdock skill install <file|url>");
+      const result = await packages.install(target, { force: flags.force });
+      console.log(result.previous
+        ? `✅ Installed ${result.name} ${result.version} (was ${result.previous}) in ${result.path}`
+        : `✅ Installed ${result.name} ${result.version} in ${result.path}`);
+      break;
+    }
+
+    case "list": {
+      const installed = packages.list();
+      if (installed.length === 0) {
+        console.log("No skills installed from packages.");
+        break;
+      }
+      for (const skill of installed) {
+        const state = !skill.present ? " ❌ missing" : skill.modified ? " ✏️  modified locally" : "";
+        console.log(`${skill.name} ${skill.version}${state}\n  from ${skill.source} (updated ${skill.updatedAt})`);
+      }
+      break;
+    }
+
+    case "update": {
+      const results = await packages.update(target, { force: flags.force });
+      if (results.length === 0) console.log("No skills installed from packages.");
+      for (const result of results) {
+        if (result.status === "updated") console.log(`✅ ${result.name}: ${result.from} → ${result.to}`);
+        else if (result.status === "current") console.log(`   ${result.name}: ${result.from} is up to date`);
+        else console.log(`❌ ${result.name}: ${result.error}`);
+      }
+      if (results.some((result) => result.status === "failed")) process.exitCode = 1;
+      break;
+    }
+
+    case "remove": {
+      if (!target) throw new Error("Which skill? chatdock skill remove <name>");
+      const removed = packages.remove(target);
+      console.log(`🗑️  Removed ${removed.name} ${removed.version}`);
+      break;
+    }
+
+    case "pack": {
+      if (!target) throw new Error("Which directory? chatdock skill pack <dir>");
+      const { file, manifest } = await packages.pack(target, { out: flags.out });
+      console.log(`📦 Packed ${manifest.name} ${manifest.version} into ${file}`);
+      break;
+    }
+
+    default:
+      console.log(SKILL_USAGE);
+  }
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+
+  if (command === "skill" || command === "skills") {
+    await runSkillCommand(rest);
+  } else if (command === "onboard" || command === "setup") {
+    await require("./utils/onboarding").runOnboarding();
+  } else if (command === "status") {
+    require("./utils/onboarding").showStatus();
+  } else {
+    console.log(`ChatDock\n\n${SKILL_USAGE}\n  chatdock onboard                              Run the setup wizard\n  chatdock status                               Show configuration`);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
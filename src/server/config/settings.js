@@ -7,6 +7,7 @@
 const path = require("path");
 const os = require("os");
 const fs = require("fs");
+const { writeFileAtomic } = require("../utils/file-store");
 
 const DEFAULT_SETTINGS = {
   systemPrompt: "You are ChatDock, a helpful AI assistant.",
@@ -39,7 +40,43 @@ const DEFAULT_SETTINGS = {
     allowFrom: [],
   },
   agents: {
-    maxToolIterations: 10
+    maxToolIterations: 10,
+    maxDurationMs: 300000, // Wall-clock limit per run (0 = unlimited)
+    maxToolCalls: 50, // Total tool calls per run (0 = unlimited)
+    maxTokens: 0, // Total LLM tokens per run (0 = unlimited)
+    toolConcurrency: 4, // Independent tool calls run in parallel per iteration
+    subagentTimeoutMs: 600000, // Subagents are terminated after this long (0 = unlimited)
+    subagentMemoryMb: 512, // Heap limit of each subagent's worker thread
+    subagentRetentionDays: 7, // Finished subagents and transcripts are deleted after this (~/.chatdock/subagents)
+    resumeSubagents: false, // Restart subagents interrupted by a shutdown instead of marking them interrupted
+    maxSubagentDepth: 2, // How many levels of subagents may spawn their own subagents (0 = unlimited)
+    maxSubagentFanOut: 4, // Subagents a single run may have running at once (0 = unlimited)
+    specialists: {}, // Per-specialist overrides, e.g. { shell: { maxToolIterations: 5 } }
+  },
+  context: {
+    windowTokens: 0, // Context window in tokens (0 = guess from provider/model)
+    reserveTokens: 1024, // Tokens kept free for the reply
+    maxToolResultTokens: 1500, // Tool results above this are elided in the middle
+    summaryTokens: 400, // Target length of the running conversation summary
+    historyToolResultTokens: 500, // Tool results are compacted to this size in saved history (0 = keep in full)
+  },
+  search: {
+    embeddings: false, // Blend Ollama embeddings into history search
+    embeddingModel: "nomic-embed-text",
+    semanticWeight: 0.5, // 0 = keyword only, 1 = semantic only
+  },
+  memory: {
+    maxInjected: 8, // Most relevant long-term memories added to the prompt per message
+    autoExtract: true, // Propose memories from conversations for review
+    extractIdleMs: 600000, // Idle time before a conversation is read for memories (0 = only on clear)
+  },
+  skills: {
+    disabled: [], // Skills whose instructions and bundled tools are switched off
+    paths: [], // Extra (project) skill directories; they take precedence over ~/.chatdock/skills
+    watch: true, // Reload skills when files in a skills directory change
+    suggest: true, // Point the agent at skills that match each user message
+    maxSuggestions: 2,
+    suggestEmbeddings: false, // Also match skills by meaning (Ollama, search.embeddingModel)
   }
 };
 
@@ -84,4 +121,20 @@ function loadSettings(userDataPath) {
   return DEFAULT_SETTINGS;
 }
 
-module.exports = { getServerConfig, loadSettings };
+/**
+ * Change settings.json in place; only what the user saved is written, not the defaults
+ * @param {string} userDataPath
+ * @param {Function} fn - Receives the parsed file and mutates it
+ * @returns {Object} - Updated settings (merged with defaults)
+ */
+function updateSettings(userDataPath, fn) {
+  const settingsPath = path.join(userDataPath, "settings.json");
+  const existing = fs.existsSync(settingsPath)
+    ? JSON.parse(fs.readFileSync(settingsPath, "utf-8"))
+    : {};
+  fn(existing);
+  writeFileAtomic(settingsPath, JSON.stringify(existing, null, 2));
+  return { ...DEFAULT_SETTINGS, ...existing };
+}
+
+module.exports = { getServerConfig, loadSettings, updateSettings };
@@ -185,7 +185,10 @@ class CronScheduler {
       const { payload } = job;
 
       // Run agent with the scheduled message
-      const response = await this.agent.processDirect(payload.message);
+      const response = await this.agent.processDirect(payload.message, {
+        isCron: true,
+        sessionId: `cron:${job.id}`,
+      });
 
       // Update state
       job.state.last_run_at_ms = Date.now();
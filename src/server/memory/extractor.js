@@ -0,0 +1,341 @@
+/**
+ * Memory Extractor
+ * Learns durable facts from conversations without being told to "remember this".
+ *
+ * When a session goes idle (or is cleared), a background subagent reads the new
+ * part of the conversation and proposes facts for long-term memory. Proposals are
+ * checked against existing memories (duplicates dropped, contradictions flagged)
+ * and wait in a review queue (~/.chatdock/memory/review.json) until the user
+ * accepts or rejects them.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { withFileLock, writeFileAtomic } = require("../utils/file-store");
+const { CATEGORIES, DEFAULT_CATEGORY, normalizeContent } = require("./store");
+
+const EXTRACTION_DEFAULTS = {
+  autoExtract: true, // Propose memories from conversations automatically
+  extractIdleMs: 600000, // Quiet time before a session is read (0 = only on clear)
+};
+
+const MAX_TRANSCRIPT_CHARS = 12000; // Most recent part of the conversation sent to the extractor
+const MAX_KNOWN_MEMORIES = 50; // Existing memories shown to the extractor for conflict detection
+const DUPLICATE_SIMILARITY = 0.85;
+const CONFLICT_SIMILARITY = 0.5;
+const MAX_REJECTED = 200; // Rejected proposals remembered so they aren't proposed again
+
+class MemoryExtractor {
+  constructor(agent, memoryStore) {
+    this.agent = agent;
+    this.memoryStore = memoryStore;
+    this.queuePath = path.join(memoryStore.memoryDir, "review.json");
+    this.lockPath = path.join(memoryStore.memoryDir, "review.lock");
+    this.timers = new Map(); // sessionId -> idle timer
+    this.running = new Map(); // sessionId -> the latest queued extraction
+  }
+
+  getSettings() {
+    return { ...EXTRACTION_DEFAULTS, ...(this.agent.config?.memory || {}) };
+  }
+
+  /**
+   * Note activity in a session; extraction runs once it has been idle long enough
+   * @param {string} sessionId
+   */
+  touch(sessionId) {
+    const { autoExtract, extractIdleMs } = this.getSettings();
+    clearTimeout(this.timers.get(sessionId));
+    this.timers.delete(sessionId);
+    if (!autoExtract || !extractIdleMs) return;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(sessionId);
+      this.extractSession(sessionId, { reason: "idle" })
+        .catch((e) => console.warn(`[memory] Extraction failed for ${sessionId}:`, e.message));
+    }, extractIdleMs);
+    timer.unref?.();
+    this.timers.set(sessionId, timer);
+  }
+
+  /**
+   * Propose memories from the part of a session not read yet. Calls for the same
+   * session run one after another, so a snapshot taken before a clear waits its
+   * turn instead of being dropped.
+   * @param {string} sessionId
+   * @param {Object} options - { reason: idle|clear|manual, messages: snapshot to use instead of the live session, generation: the snapshot's session generation, force }
+   * @returns {Promise<Array|null>} - New proposals (null if nothing was read)
+   */
+  async extractSession(sessionId, options = {}) {
+    if (!options.force && !this.getSettings().autoExtract) return null;
+
+    const previous = this.running.get(sessionId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this._extract(sessionId, options));
+    this.running.set(sessionId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.running.get(sessionId) === current) this.running.delete(sessionId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _extract(sessionId, { reason = "manual", messages, generation } = {}) {
+    const session = this.agent.sessions.get(sessionId);
+    const all = messages || session?.getMessages() || [];
+    if (generation === undefined) generation = session?.generation || 0;
+
+    // The read offset only counts within the session generation it was taken in
+    const read = this._load().extracted[sessionId];
+    const offset = read?.generation === generation && read.count <= all.length ? read.count : 0;
+
+    const fresh = all.slice(offset);
+    const markRead = () => this._update((data) => {
+      // A snapshot from before a clear must not overwrite what was read since
+      if (data.extracted[sessionId]?.generation > generation) return;
+      // After a clear the session starts from zero again, in its next generation
+      data.extracted[sessionId] = reason === "clear"
+        ? { generation: generation + 1, count: 0 }
+        : { generation, count: all.length };
+    });
+
+    if (!fresh.some((m) => m.role === "user" && m.content)) {
+      markRead();
+      return null;
+    }
+
+    const reply = await this._runExtraction(this._buildTask(fresh));
+    const proposals = this._addProposals(this._parseReply(reply), { sessionId, reason });
+    markRead();
+    if (proposals.length > 0) {
+      console.log(`[memory] ${proposals.length} memory proposal(s) from ${sessionId} queued for review`);
+    }
+    return proposals;
+  }
+
+  /**
+   * Pending proposals, oldest first
+   * @returns {Array}
+   */
+  listProposals() {
+    return this._load().proposals;
+  }
+
+  /**
+   * Accept a proposal into long-term memory, replacing the memory it conflicts with
+   * @param {string} id - Proposal ID
+   * @param {Object} edits - Optional { content, category } overrides
+   * @returns {Object|null} - The stored memory
+   */
+  accept(id, { content, category } = {}) {
+    const proposal = this._take(id);
+    if (!proposal) return null;
+
+    if (proposal.conflictsWith) {
+      this.memoryStore.forget(proposal.conflictsWith.id);
+    }
+    const { memory } = this.memoryStore.remember(content || proposal.content, {
+      category: Object.hasOwn(CATEGORIES, category) ? category : proposal.category,
+      tags: proposal.tags,
+      source: { type: "extraction", sessionId: proposal.sessionId },
+    });
+    return memory;
+  }
+
+  /**
+   * Reject a proposal; the same fact won't be proposed again
+   * @param {string} id - Proposal ID
+   * @returns {boolean}
+   */
+  reject(id) {
+    const proposal = this._take(id);
+    if (!proposal) return false;
+
+    this._update((data) => {
+      data.rejected = [...data.rejected, normalizeContent(proposal.content)].slice(-MAX_REJECTED);
+    });
+    return true;
+  }
+
+  /**
+   * Instructions plus transcript for the extraction subagent
+   * @private
+   */
+  _buildTask(messages) {
+    let transcript = messages
+      .filter((m) => (m.role === "user" || m.role === "assistant") && m.content)
+      .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`)
+      .join("\n\n");
+    if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+      transcript = "[...]\n" + transcript.slice(-MAX_TRANSCRIPT_CHARS);
+    }
+
+    const known = this.memoryStore.list().slice(0, MAX_KNOWN_MEMORIES)
+      .map((m) => `- ${m.id} [${m.category}] ${m.content}`)
+      .join("\n") || "(none)";
+
+    return `Read the conversation below and list durable facts worth keeping in long-term memory:
+the user's preferences, personal details they shared, their projects and recurring habits.
+Skip one-off requests, small talk, anything the assistant said on its own, and secrets such as passwords or API keys.
+Write each fact as one short self-contained sentence about the user.
+If a fact contradicts or updates an existing memory, set "replaces" to that memory's id.
+Do not repeat facts that existing memories already cover.
+
+Categories: ${Object.keys(CATEGORIES).join(", ")}
+
+Existing memories:
+${known}
+
+Conversation:
+${transcript}
+
+Reply with only a JSON array (use [] if there is nothing worth keeping), for example:
+[{"content": "User prefers answers in German", "category": "preference", "replaces": null}]`;
+  }
+
+  /**
+   * Run the extraction as a tool-less background subagent and wait for its reply
+   * @private
+   */
+  _runExtraction(task) {
+    const manager = this.agent.subagentManager;
+    return new Promise((resolve, reject) => {
+      let id = null;
+      const done = (fn, value) => {
+        manager.off("complete", onComplete);
+        manager.off("failed", onFailed);
+        manager.off("cancelled", onCancelled);
+        fn(value);
+      };
+      const onComplete = (event) => event.id === id && done(resolve, event.result);
+      const onFailed = (event) => event.id === id && done(reject, new Error(event.error));
+      const onCancelled = (event) => event.id === id && done(reject, new Error("Extraction cancelled"));
+
+      manager.on("complete", onComplete);
+      manager.on("failed", onFailed);
+      manager.on("cancelled", onCancelled);
+      let spawned = false;
+      try {
+        id = manager.spawn({ task, name: "memory-extraction", notify: false, noTools: true, internal: true }).id;
+        spawned = true;
+      } finally {
+        // A failed spawn rejects this promise; its listeners must not stay behind
+        if (!spawned) {
+          manager.off("complete", onComplete);
+          manager.off("failed", onFailed);
+          manager.off("cancelled", onCancelled);
+        }
+      }
+    });
+  }
+
+  /**
+   * Pull the JSON array out of the model's reply
+   * @private
+   */
+  _parseReply(reply) {
+    const text = String(reply || "");
+    const start = text.indexOf("[");
+    const end = text.lastIndexOf("]");
+    if (start === -1 || end <= start) {
+      throw new Error("Extractor reply had no JSON array");
+    }
+
+    const items = JSON.parse(text.slice(start, end + 1));
+    if (!Array.isArray(items)) return [];
+    return items
+      .filter((item) => item && typeof item.content === "string" && item.content.trim())
+      .map((item) => ({
+        content: item.content.trim(),
+        category: Object.hasOwn(CATEGORIES, item.category) ? item.category : DEFAULT_CATEGORY,
+        replaces: typeof item.replaces === "string" ? item.replaces : null,
+      }));
+  }
+
+  /**
+   * Drop duplicates, flag conflicts and queue the rest
+   * @private
+   */
+  _addProposals(candidates, { sessionId, reason }) {
+    const memories = new Map(this.memoryStore.list().map((m) => [m.id, m]));
+
+    return this._update((data) => {
+      const seen = new Set([
+        ...data.rejected,
+        ...data.proposals.map((p) => normalizeContent(p.content)),
+      ]);
+      const added = [];
+
+      for (const candidate of candidates) {
+        const key = normalizeContent(candidate.content);
+        if (seen.has(key)) continue;
+
+        const similar = this.memoryStore.findSimilar(candidate.content, { threshold: CONFLICT_SIMILARITY });
+        if (similar.some((match) => match.similarity >= DUPLICATE_SIMILARITY)) continue;
+
+        // Conflicts: what the extractor said it replaces, else a close match in the same category
+        const target = memories.get(candidate.replaces)
+          || similar.find((match) => match.memory.category === candidate.category)?.memory;
+
+        const proposal = {
+          id: uuidv4().slice(0, 8),
+          content: candidate.content,
+          category: candidate.category,
+          tags: [],
+          sessionId,
+          reason,
+          conflictsWith: target ? { id: target.id, content: target.content } : null,
+          createdAt: Date.now(),
+        };
+        data.proposals.push(proposal);
+        added.push(proposal);
+        seen.add(key);
+      }
+      return added;
+    });
+  }
+
+  /**
+   * Remove a proposal from the queue and return it
+   * @private
+   */
+  _take(id) {
+    return this._update((data) => {
+      const index = data.proposals.findIndex((p) => p.id === id);
+      return index === -1 ? null : data.proposals.splice(index, 1)[0];
+    });
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.queuePath)) {
+        const data = JSON.parse(fs.readFileSync(this.queuePath, "utf-8"));
+        return { proposals: data.proposals || [], rejected: data.rejected || [], extracted: data.extracted || {} };
+      }
+    } catch (e) {
+      console.warn("[memory] Failed to load review queue:", e.message);
+    }
+    return { proposals: [], rejected: [], extracted: {} };
+  }
+
+  /**
+   * @private
+   */
+  _update(fn) {
+    fs.mkdirSync(path.dirname(this.queuePath), { recursive: true });
+    return withFileLock(this.lockPath, () => {
+      const data = this._load();
+      const result = fn(data);
+      writeFileAtomic(this.queuePath, JSON.stringify(data, null, 2));
+      return result;
+    });
+  }
+}
+
+module.exports = { MemoryExtractor, EXTRACTION_DEFAULTS };
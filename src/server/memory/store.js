@@ -0,0 +1,356 @@
+/**
+ * Memory Store
+ * Structured long-term memory: facts, preferences and notes that persist across sessions.
+ *
+ * Memories live in ~/.chatdock/memory/memories.json (written atomically).
+ * memory/MEMORY.md is a rendered, human-editable view of the same data:
+ * edits made to it (added, changed or removed bullet lines) are merged back
+ * into the store the next time it is read, then the file is re-rendered.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { withFileLock, writeFileAtomic } = require("../utils/file-store");
+const { tokenize } = require("../search/history-index");
+
+// category -> MEMORY.md section heading
+const CATEGORIES = {
+  user: "User Information",
+  preference: "Preferences",
+  project: "Project Context",
+  note: "Important Notes",
+  pattern: "Learned Patterns",
+};
+const DEFAULT_CATEGORY = "note";
+
+const ID_MARKER = /\s*<!--\s*id:([\w-]+)\s*-->\s*$/;
+const RECENCY_HALF_LIFE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function normalizeContent(text) {
+  return String(text || "").toLowerCase().replace(/\s+/g, " ").replace(/[.!]+$/, "").trim();
+}
+
+function hash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+/**
+ * Map a MEMORY.md heading back to a category
+ * @private
+ */
+function categoryForHeading(heading) {
+  const entry = Object.entries(CATEGORIES).find(([, title]) => title.toLowerCase() === heading.toLowerCase());
+  if (entry) return entry[0];
+  return heading.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || DEFAULT_CATEGORY;
+}
+
+class MemoryStore {
+  constructor(config = {}) {
+    this.memoryDir = path.join(config.userDataPath || ".", "memory");
+    this.storePath = path.join(this.memoryDir, "memories.json");
+    this.markdownPath = path.join(this.memoryDir, "MEMORY.md");
+    this.lockPath = path.join(this.memoryDir, "memories.lock");
+  }
+
+  /**
+   * Store a memory; near-identical content refreshes the existing entry instead
+   * @param {string} content - What to remember
+   * @param {Object} options - { category, tags, source }
+   * @returns {{memory: Object, created: boolean}}
+   */
+  remember(content, { category, tags = [], source = {} } = {}) {
+    const text = String(content || "").trim();
+    if (!text) throw new Error("Memory content required");
+
+    return this._update((data) => {
+      const now = Date.now();
+      const existing = data.memories.find((m) => normalizeContent(m.content) === normalizeContent(text));
+      if (existing) {
+        existing.updatedAt = now;
+        existing.tags = [...new Set([...(existing.tags || []), ...tags])];
+        if (category) existing.category = category;
+        return { memory: existing, created: false };
+      }
+
+      const memory = {
+        id: uuidv4().slice(0, 8),
+        content: text,
+        category: category || DEFAULT_CATEGORY,
+        tags,
+        source,
+        createdAt: now,
+        updatedAt: now,
+        recallCount: 0,
+        lastRecalledAt: null,
+      };
+      data.memories.push(memory);
+      return { memory, created: true };
+    });
+  }
+
+  /**
+   * Find the memories most relevant to a query
+   * @param {string} query - Free text
+   * @param {Object} options - { limit, category, track }
+   * @returns {Array} - Memories with a relevance score, best first
+   */
+  recall(query, { limit = 5, category, track = true } = {}) {
+    const data = this._read();
+    const candidates = data.memories.filter((m) => !category || m.category === category);
+    const ranked = this._rank(candidates, query).slice(0, limit);
+
+    if (track && ranked.length > 0) {
+      const ids = new Set(ranked.map((m) => m.id));
+      this._update((fresh) => {
+        for (const memory of fresh.memories) {
+          if (!ids.has(memory.id)) continue;
+          memory.recallCount = (memory.recallCount || 0) + 1;
+          memory.lastRecalledAt = Date.now();
+        }
+      });
+    }
+    return ranked;
+  }
+
+  /**
+   * Delete a memory
+   * @param {string} id - Memory ID
+   * @returns {Object|null} - The removed memory
+   */
+  forget(id) {
+    return this._update((data) => {
+      const index = data.memories.findIndex((m) => m.id === id);
+      if (index === -1) return null;
+      return data.memories.splice(index, 1)[0];
+    });
+  }
+
+  /**
+   * List memories, newest first
+   * @param {Object} options - { category }
+   * @returns {Array}
+   */
+  list({ category } = {}) {
+    return this._read().memories
+      .filter((m) => !category || m.category === category)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Memories worded like the given text (word overlap), to catch duplicates and conflicts
+   * @param {string} content - Candidate memory
+   * @param {Object} options - { category, threshold: minimum similarity 0..1 }
+   * @returns {Array<{memory: Object, similarity: number}>} - Best match first
+   */
+  findSimilar(content, { category, threshold = 0.5 } = {}) {
+    const terms = new Set(tokenize(content));
+    if (terms.size === 0) return [];
+
+    return this._read().memories
+      .filter((m) => !category || m.category === category)
+      .map((memory) => {
+        const other = new Set(tokenize(memory.content));
+        const shared = [...terms].filter((term) => other.has(term)).length;
+        const similarity = shared / (terms.size + other.size - shared || 1);
+        return { memory, similarity: Math.round(similarity * 1000) / 1000 };
+      })
+      .filter((match) => match.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Render memories relevant to a message for the system prompt
+   * @param {string} query - Usually the user's message
+   * @param {number} limit - Max memories to include
+   * @returns {string} - Markdown bullet list (empty if nothing is relevant)
+   */
+  buildPromptContext(query, limit = 8) {
+    const relevant = this.recall(query, { limit, track: false });
+    return relevant
+      .map((m) => `- [${m.category}] ${m.content} (id: ${m.id})`)
+      .join("\n");
+  }
+
+  /**
+   * Relevance: keyword overlap weighted by rarity, with a mild recency boost
+   * @private
+   */
+  _rank(memories, query) {
+    const queryTerms = new Set(tokenize(query));
+    if (queryTerms.size === 0) return [];
+
+    const docs = memories.map((memory) => ({
+      memory,
+      terms: new Set(tokenize(`${memory.content} ${(memory.tags || []).join(" ")} ${memory.category}`)),
+    }));
+    const documentFrequency = new Map();
+    for (const { terms } of docs) {
+      for (const term of terms) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+
+    const now = Date.now();
+    return docs
+      .map(({ memory, terms }) => {
+        let score = 0;
+        for (const term of queryTerms) {
+          if (terms.has(term)) score += Math.log(1 + docs.length / documentFrequency.get(term));
+        }
+        if (score === 0) return null;
+        const age = now - (memory.updatedAt || memory.createdAt || now);
+        score *= 1 + 0.25 * Math.pow(0.5, age / RECENCY_HALF_LIFE_MS);
+        return { ...memory, score: Math.round(score * 1000) / 1000 };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Read the store, merging any edits made to MEMORY.md
+   * @private
+   */
+  _read() {
+    const data = this._load();
+    if (this._markdownChanged(data)) {
+      return this._update(() => {}, { returnData: true });
+    }
+    return data;
+  }
+
+  /**
+   * Apply a change under the lock, then persist and re-render MEMORY.md
+   * @private
+   */
+  _update(fn, { returnData = false } = {}) {
+    fs.mkdirSync(this.memoryDir, { recursive: true });
+    return withFileLock(this.lockPath, () => {
+      const data = this._load();
+      if (this._markdownChanged(data)) {
+        this._mergeMarkdown(data);
+      }
+
+      const result = fn(data);
+      const markdown = this._render(data);
+      data.renderedHash = hash(markdown);
+      writeFileAtomic(this.storePath, JSON.stringify(data, null, 2));
+      writeFileAtomic(this.markdownPath, markdown);
+      return returnData ? data : result;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, "utf-8"));
+        return { memories: data.memories || [], renderedHash: data.renderedHash || null };
+      }
+    } catch (e) {
+      console.warn("[memory] Failed to load memories:", e.message);
+    }
+    // First run: MEMORY.md (if any) is imported on the next write
+    return { memories: [], renderedHash: null };
+  }
+
+  /**
+   * @private
+   */
+  _markdownChanged(data) {
+    try {
+      if (!fs.existsSync(this.markdownPath)) return false;
+      return hash(fs.readFileSync(this.markdownPath, "utf-8")) !== data.renderedHash;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Merge hand edits from MEMORY.md into the store:
+   * unknown bullets are added, edited bullets updated, removed bullets forgotten
+   * @private
+   */
+  _mergeMarkdown(data) {
+    const markdown = fs.readFileSync(this.markdownPath, "utf-8");
+    const byId = new Map(data.memories.map((m) => [m.id, m]));
+    const seen = new Set();
+    const now = Date.now();
+    let category = DEFAULT_CATEGORY;
+
+    for (const line of markdown.split("\n")) {
+      const heading = line.match(/^##\s+(.+?)\s*$/);
+      if (heading) {
+        category = categoryForHeading(heading[1]);
+        continue;
+      }
+
+      const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+      if (!bullet) continue;
+      const id = bullet[1].match(ID_MARKER)?.[1];
+      const content = bullet[1].replace(ID_MARKER, "").trim();
+      // Skip template placeholders such as "- Timezone: "
+      if (!content || content.endsWith(":")) continue;
+
+      const existing = id && byId.get(id);
+      if (existing) {
+        seen.add(id);
+        if (existing.content !== content || existing.category !== category) {
+          existing.content = content;
+          existing.category = category;
+          existing.updatedAt = now;
+        }
+      } else {
+        const memory = {
+          id: uuidv4().slice(0, 8),
+          content,
+          category,
+          tags: [],
+          source: { type: "manual" },
+          createdAt: now,
+          updatedAt: now,
+          recallCount: 0,
+          lastRecalledAt: null,
+        };
+        data.memories.push(memory);
+        seen.add(memory.id);
+      }
+    }
+
+    // Bullets deleted from the file are forgotten (only once the file has been rendered by us)
+    if (data.renderedHash) {
+      data.memories = data.memories.filter((m) => seen.has(m.id));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _render(data) {
+    const lines = [
+      "# Long-term Memory",
+      "",
+      "This file is a view of ChatDock's memory store. You can edit it: add, change or delete",
+      "bullet lines. Keep the `<!-- id: -->` markers so edits apply to the right memory.",
+      "",
+    ];
+
+    const categories = [...new Set([...Object.keys(CATEGORIES), ...data.memories.map((m) => m.category)])];
+    for (const category of categories) {
+      const memories = data.memories
+        .filter((m) => m.category === category)
+        .sort((a, b) => a.createdAt - b.createdAt);
+      const title = (Object.hasOwn(CATEGORIES, category) && CATEGORIES[category]) || category.replace(/_/g, " ").replace(/^\w/, (c) => c.toUpperCase());
+
+      lines.push(`## ${title}`);
+      for (const memory of memories) {
+        lines.push(`- ${memory.content.replace(/\n+/g, " ")} <!-- id:${memory.id} -->`);
+      }
+      lines.push("");
+    }
+    return lines.join("\n");
+  }
+}
+
+module.exports = { MemoryStore, CATEGORIES, DEFAULT_CATEGORY, normalizeContent };
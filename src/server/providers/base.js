@@ -3,6 +3,8 @@
  * Abstract class for all LLM providers
  */
 
+const { parseOpenAIResponse } = require("./stream-parser");
+
 class BaseLLMProvider {
   constructor(config = {}) {
     this.name = "base";
@@ -20,13 +22,36 @@ class BaseLLMProvider {
   /**
    * Send a chat request
    * @param {Array} messages - Chat messages
-   * @param {Object} options - Options (model, tools, stream, etc.)
+   * @param {Object} options - Options (model, tools, stream, signal, etc.)
    * @returns {Promise<Response>}
    */
   async chat(messages, options = {}) {
     throw new Error("chat not implemented");
   }
 
+  /**
+   * Send a chat request and iterate over normalized events
+   * (content deltas, tool-call deltas, assembled tool calls, usage, done)
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Options (model, tools, stream, signal, etc.)
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *chatStream(messages, options = {}) {
+    const response = await this.chat(messages, options);
+    yield* this.parseResponse(response, options.stream !== false);
+  }
+
+  /**
+   * Parse a raw chat response into normalized events.
+   * Defaults to the OpenAI-compatible format; override for other wire formats.
+   * @param {Response} response - Raw fetch response from chat()
+   * @param {boolean} stream - Whether the response is streamed
+   * @returns {AsyncGenerator<Object>}
+   */
+  parseResponse(response, stream = true) {
+    return parseOpenAIResponse(response, stream);
+  }
+
   /**
    * Validate that the provider is properly configured
    * @returns {boolean}
@@ -65,6 +65,7 @@ class GroqProvider extends BaseLLMProvider {
         "Authorization": `Bearer ${this.apiKey}`,
       },
       body: JSON.stringify(body),
+      signal: options.signal,
     });
 
     if (!response.ok) {
@@ -6,6 +6,7 @@
 const fs = require("fs");
 const path = require("path");
 const { BaseLLMProvider } = require("./base");
+const { parseOllamaResponse } = require("./stream-parser");
 
 class OllamaProvider extends BaseLLMProvider {
   constructor(config = {}) {
@@ -74,7 +75,7 @@ class OllamaProvider extends BaseLLMProvider {
 
     const body = {
       model,
-      messages,
+      messages: this._formatMessages(messages),
       stream: options.stream !== false,
     };
 
@@ -82,10 +83,16 @@ class OllamaProvider extends BaseLLMProvider {
       body.tools = options.tools;
     }
 
+    // Serve the model with the context window the prompt was budgeted for
+    if (options.contextWindow) {
+      body.options = { num_ctx: options.contextWindow };
+    }
+
     const response = await fetch(`${this.baseUrl}/api/chat`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(body),
+      signal: options.signal,
     });
 
     if (!response.ok) {
@@ -96,6 +103,33 @@ class OllamaProvider extends BaseLLMProvider {
     return response;
   }
 
+  parseResponse(response, stream = true) {
+    return parseOllamaResponse(response, stream);
+  }
+
+  /**
+   * Ollama expects tool call arguments as objects, not JSON strings
+   * @private
+   */
+  _formatMessages(messages) {
+    return messages.map((msg) => {
+      if (!Array.isArray(msg.tool_calls)) return msg;
+      return {
+        ...msg,
+        tool_calls: msg.tool_calls.map((tc) => {
+          if (typeof tc.function?.arguments !== "string") return tc;
+          let args;
+          try {
+            args = JSON.parse(tc.function.arguments || "{}");
+          } catch {
+            args = {};
+          }
+          return { ...tc, function: { ...tc.function, arguments: args } };
+        }),
+      };
+    });
+  }
+
   getInfo() {
     return {
       name: this.name,
@@ -60,6 +60,11 @@ class OpenAIProvider extends BaseLLMProvider {
       stream: options.stream !== false,
     };
 
+    // Ask for token usage on the final streamed chunk
+    if (body.stream) {
+      body.stream_options = { include_usage: true };
+    }
+
     if (options.tools && options.tools.length > 0) {
       body.tools = options.tools;
     }
@@ -76,6 +81,7 @@ class OpenAIProvider extends BaseLLMProvider {
       method: "POST",
       headers,
       body: JSON.stringify(body),
+      signal: options.signal,
     });
 
     if (!response.ok) {
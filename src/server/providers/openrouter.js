@@ -69,6 +69,7 @@ class OpenRouterProvider extends BaseLLMProvider {
         "X-Title": this.siteName,
       },
       body: JSON.stringify(body),
+      signal: options.signal,
     });
 
     if (!response.ok) {
@@ -0,0 +1,275 @@
+/**
+ * Stream Parser
+ * Normalizes provider responses (Ollama NDJSON, OpenAI SSE, plain JSON)
+ * into a single async iterator of events:
+ *
+ *   { type: "content", content }                          - assistant text delta
+ *   { type: "tool_call_delta", index, id, name, arguments } - partial tool call
+ *   { type: "tool_calls", toolCalls }                     - assembled tool calls
+ *   { type: "usage", usage }                              - token usage
+ *   { type: "done", finishReason }                        - end of response
+ */
+
+/**
+ * Split a response body into lines, buffering partial lines across chunks
+ * @param {Response} response - fetch Response with a readable body
+ */
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+/**
+ * Assembles tool calls from incremental deltas, keyed by index
+ */
+class ToolCallAccumulator {
+  constructor() {
+    this.calls = new Map(); // index -> { id, name, arguments }
+  }
+
+  add({ index = 0, id, name, arguments: args }) {
+    if (!this.calls.has(index)) {
+      this.calls.set(index, { id: null, name: "", arguments: "" });
+    }
+    const call = this.calls.get(index);
+    if (id) call.id = id;
+    // Some servers repeat the full name in every chunk; only fragments are appended
+    if (name && name !== call.name) {
+      call.name = !call.name || name.startsWith(call.name) ? name : call.name + name;
+    }
+    if (args) call.arguments += args;
+  }
+
+  get size() {
+    return this.calls.size;
+  }
+
+  /**
+   * Get the assembled tool calls in OpenAI message format
+   * @returns {Array}
+   */
+  finalize() {
+    return [...this.calls.entries()]
+      .sort(([a], [b]) => a - b)
+      .filter(([, call]) => call.name)
+      .map(([, call]) => ({
+        id: call.id || `call_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+        type: "function",
+        function: {
+          name: call.name,
+          arguments: call.arguments || "{}",
+        },
+      }));
+  }
+}
+
+function stringifyArguments(args) {
+  if (args === undefined || args === null) return "{}";
+  return typeof args === "string" ? args : JSON.stringify(args);
+}
+
+/**
+ * Parse an Ollama /api/chat response (NDJSON when streaming, JSON otherwise)
+ * @param {Response} response
+ * @param {boolean} stream - Whether the request was made with stream: true
+ */
+async function* parseOllamaResponse(response, stream = true) {
+  const accumulator = new ToolCallAccumulator();
+  const chunks = stream ? readLines(response) : [JSON.stringify(await response.json())];
+  let finishReason = null;
+  let usage = null;
+
+  for await (const line of chunks) {
+    let json;
+    try {
+      json = JSON.parse(line);
+    } catch (e) {
+      continue; // ignore malformed lines
+    }
+
+    if (json.error) {
+      throw new Error(`Ollama API error: ${json.error}`);
+    }
+
+    if (json.message?.content) {
+      yield { type: "content", content: json.message.content };
+    }
+
+    // Ollama sends complete tool calls (with object arguments) in a single chunk
+    for (const tc of json.message?.tool_calls || []) {
+      const delta = {
+        index: accumulator.size,
+        id: tc.id,
+        name: tc.function?.name,
+        arguments: stringifyArguments(tc.function?.arguments),
+      };
+      accumulator.add(delta);
+      yield { type: "tool_call_delta", ...delta };
+    }
+
+    if (json.done) {
+      finishReason = json.done_reason || "stop";
+      if (json.prompt_eval_count !== undefined || json.eval_count !== undefined) {
+        usage = {
+          promptTokens: json.prompt_eval_count || 0,
+          completionTokens: json.eval_count || 0,
+          totalTokens: (json.prompt_eval_count || 0) + (json.eval_count || 0),
+        };
+      }
+    }
+  }
+
+  if (accumulator.size > 0) {
+    yield { type: "tool_calls", toolCalls: accumulator.finalize() };
+  }
+  if (usage) {
+    yield { type: "usage", usage };
+  }
+  yield { type: "done", finishReason };
+}
+
+function normalizeOpenAIUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+  };
+}
+
+/**
+ * Parse an OpenAI-compatible /chat/completions response
+ * (SSE "data:" chunks when streaming, JSON otherwise).
+ * Used by OpenAI, Groq and OpenRouter.
+ * @param {Response} response
+ * @param {boolean} stream - Whether the request was made with stream: true
+ */
+async function* parseOpenAIResponse(response, stream = true) {
+  const accumulator = new ToolCallAccumulator();
+  let finishReason = null;
+  let usage = null;
+
+  if (!stream) {
+    const data = await response.json();
+    const choice = data.choices?.[0] || {};
+    const message = choice.message || {};
+
+    if (message.content) {
+      yield { type: "content", content: message.content };
+    }
+    (message.tool_calls || []).forEach((tc, index) => {
+      accumulator.add({
+        index,
+        id: tc.id,
+        name: tc.function?.name,
+        arguments: stringifyArguments(tc.function?.arguments),
+      });
+    });
+    finishReason = choice.finish_reason || null;
+    usage = normalizeOpenAIUsage(data.usage);
+  } else {
+    for await (const line of readLines(response)) {
+      // SSE comments (e.g. OpenRouter keep-alives) start with ":"
+      if (!line.startsWith("data:")) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === "[DONE]") break;
+
+      let json;
+      try {
+        json = JSON.parse(payload);
+      } catch (e) {
+        continue; // ignore malformed chunks
+      }
+
+      if (json.error) {
+        throw new Error(`API error: ${json.error.message || JSON.stringify(json.error)}`);
+      }
+
+      const choice = json.choices?.[0];
+      const delta = choice?.delta || {};
+
+      if (delta.content) {
+        yield { type: "content", content: delta.content };
+      }
+
+      for (const tc of delta.tool_calls || []) {
+        const toolDelta = {
+          index: tc.index ?? 0,
+          id: tc.id,
+          name: tc.function?.name,
+          arguments: tc.function?.arguments,
+        };
+        accumulator.add(toolDelta);
+        yield { type: "tool_call_delta", ...toolDelta };
+      }
+
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      // Groq reports usage under x_groq on the final chunk
+      const chunkUsage = normalizeOpenAIUsage(json.usage || json.x_groq?.usage);
+      if (chunkUsage) usage = chunkUsage;
+    }
+  }
+
+  if (accumulator.size > 0) {
+    yield { type: "tool_calls", toolCalls: accumulator.finalize() };
+  }
+  if (usage) {
+    yield { type: "usage", usage };
+  }
+  yield { type: "done", finishReason };
+}
+
+/**
+ * Drain a normalized event stream into a single result
+ * @param {AsyncIterable} events - Normalized provider events
+ * @param {Function} onEvent - Optional callback invoked for every event
+ * @returns {Promise<{content: string, toolCalls: Array, usage: Object|null, finishReason: string|null}>}
+ */
+async function collectStream(events, onEvent) {
+  const result = { content: "", toolCalls: [], usage: null, finishReason: null };
+
+  for await (const event of events) {
+    if (onEvent) await onEvent(event);
+
+    if (event.type === "content") {
+      result.content += event.content;
+    } else if (event.type === "tool_calls") {
+      result.toolCalls = event.toolCalls;
+    } else if (event.type === "usage") {
+      result.usage = event.usage;
+    } else if (event.type === "done") {
+      result.finishReason = event.finishReason;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  readLines,
+  ToolCallAccumulator,
+  parseOllamaResponse,
+  parseOpenAIResponse,
+  collectStream,
+};
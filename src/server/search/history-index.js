@@ -0,0 +1,377 @@
+/**
+ * History Index
+ * Local search over every stored conversation: user and assistant messages,
+ * tool calls and tool results.
+ *
+ * Keyword ranking uses BM25 over an in-memory inverted index that is
+ * refreshed incrementally from the session store. When `search.embeddings`
+ * is enabled, messages are also embedded through Ollama's /api/embed endpoint
+ * (vectors are cached in ~/.chatdock/search/embeddings.jsonl) and both
+ * scores are blended.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { loadSettings } = require("../config/settings");
+const { appendJsonLines, readJsonLines } = require("../utils/file-store");
+
+const SEARCH_DEFAULTS = {
+  embeddings: false, // Blend in semantic similarity (needs an Ollama embedding model)
+  embeddingModel: "nomic-embed-text",
+  semanticWeight: 0.5, // 0 = keyword only, 1 = semantic only
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const EMBED_BATCH_SIZE = 32;
+const EMBED_MAX_PER_SEARCH = 256; // Backfill older messages a little on every search
+const EMBED_TEXT_LENGTH = 2000;
+const SNIPPET_RADIUS = 80;
+const EMBED_TIMEOUT_MS = 30000; // A stalled Ollama request must not hang the search
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "do", "for", "from", "how", "i", "in", "is",
+  "it", "me", "my", "of", "on", "or", "that", "the", "this", "to", "was", "we", "what", "with", "you",
+]);
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter((term) => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Searchable text of a stored message
+ * @private
+ */
+function messageText(msg) {
+  const calls = (msg.tool_calls || [])
+    .map((tc) => `${tc.function?.name} ${tc.function?.arguments || ""}`)
+    .join("\n");
+  return [msg.content || "", calls].filter(Boolean).join("\n");
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+class HistoryIndex {
+  constructor(sessionManager, config = {}) {
+    this.sessionManager = sessionManager;
+    this.config = config;
+    this.docs = new Map(); // docId -> { id, sessionId, index, role, name, text, timestamp, length }
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.sessionDocs = new Map(); // sessionId -> { count, lastActivityAt, docIds }
+    this.totalLength = 0;
+
+    this.searchDir = path.join(config.userDataPath || ".", "search");
+    this.embeddingsPath = path.join(this.searchDir, "embeddings.jsonl");
+    this.embeddings = null; // key -> vector, loaded on first semantic search
+  }
+
+  /**
+   * Search settings merged with defaults
+   */
+  getSettings() {
+    const settings = this.config.userDataPath ? loadSettings(this.config.userDataPath) : this.config;
+    return { ...SEARCH_DEFAULTS, ...(settings.search || {}) };
+  }
+
+  /**
+   * Bring the keyword index up to date with the session store
+   * @returns {Array} - Session infos from the store
+   */
+  refresh() {
+    const sessions = this.sessionManager.list();
+    const live = new Set(sessions.map((info) => info.id));
+
+    // Drop deleted sessions
+    for (const sessionId of this.sessionDocs.keys()) {
+      if (!live.has(sessionId)) this._removeSession(sessionId);
+    }
+
+    for (const info of sessions) {
+      const indexed = this.sessionDocs.get(info.id);
+      const generation = info.generation || 0;
+      if (indexed && indexed.generation === generation && indexed.count === info.messageCount && indexed.lastActivityAt === info.lastActivityAt) {
+        continue;
+      }
+
+      const messages = this.sessionManager.readMessages(info.id);
+
+      // A cleared or rewritten session is re-indexed from scratch
+      if (indexed && (indexed.generation !== generation || messages.length < indexed.count)) {
+        this._removeSession(info.id);
+      }
+      const entry = this.sessionDocs.get(info.id) || { count: 0, docIds: [], generation };
+      for (let i = entry.count; i < messages.length; i++) {
+        const docId = this._addDoc(info.id, i, messages[i]);
+        if (docId) entry.docIds.push(docId);
+      }
+      entry.count = messages.length;
+      entry.lastActivityAt = info.lastActivityAt;
+      this.sessionDocs.set(info.id, entry);
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Search past conversations
+   * @param {string} query - Search text
+   * @param {Object} options
+   * @param {number} options.limit - Max results (default 10)
+   * @param {string} options.sessionId - Only search one session
+   * @param {string} options.role - Only match messages with this role (user, assistant, tool)
+   * @param {boolean} options.semantic - Override the search.embeddings setting
+   * @returns {Promise<{results: Array, semantic: boolean}>}
+   */
+  async search(query, { limit = 10, sessionId, role, semantic } = {}) {
+    const sessions = this.refresh();
+
+    const settings = this.getSettings();
+    const terms = tokenize(query);
+    const matches = (doc) => (!sessionId || doc.sessionId === sessionId) && (!role || doc.role === role);
+
+    const keywordScores = this._bm25(terms, matches);
+    let semanticScores = null;
+
+    if (semantic ?? settings.embeddings) {
+      try {
+        semanticScores = await this._semanticScores(query, matches, settings);
+      } catch (err) {
+        console.warn("[search] Semantic search unavailable:", err.message);
+      }
+    }
+
+    // Blend normalized keyword scores with cosine similarity
+    const maxKeyword = Math.max(0, ...keywordScores.values());
+    const weight = semanticScores ? settings.semanticWeight : 0;
+    const combined = new Map();
+    for (const [docId, score] of keywordScores) {
+      combined.set(docId, (1 - weight) * (maxKeyword ? score / maxKeyword : 0));
+    }
+    for (const [docId, similarity] of semanticScores || []) {
+      combined.set(docId, (combined.get(docId) || 0) + weight * Math.max(similarity, 0));
+    }
+
+    const titles = new Map(sessions.map((info) => [info.id, info.title]));
+    const results = [...combined.entries()]
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([docId, score]) => {
+        const doc = this.docs.get(docId);
+        return {
+          sessionId: doc.sessionId,
+          sessionTitle: titles.get(doc.sessionId) || "",
+          messageIndex: doc.index,
+          role: doc.role,
+          name: doc.name,
+          timestamp: doc.timestamp ? new Date(doc.timestamp).toISOString() : null,
+          score: Math.round(score * 1000) / 1000,
+          snippet: this._snippet(doc.text, terms),
+        };
+      });
+
+    return { results, semantic: !!semanticScores };
+  }
+
+  /**
+   * Index status for diagnostics
+   */
+  getStats() {
+    return {
+      sessions: this.sessionDocs.size,
+      documents: this.docs.size,
+      terms: this.postings.size,
+      embeddings: this.embeddings ? this.embeddings.size : 0,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _addDoc(sessionId, index, msg) {
+    if (msg.role === "system") return null;
+    const text = messageText(msg);
+    const terms = tokenize(text);
+    if (terms.length === 0) return null;
+
+    const id = `${sessionId}:${index}`;
+    this.docs.set(id, {
+      id,
+      sessionId,
+      index,
+      role: msg.role,
+      name: msg.name,
+      text,
+      timestamp: msg.timestamp,
+      length: terms.length,
+    });
+    this.totalLength += terms.length;
+
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    }
+    return id;
+  }
+
+  /**
+   * @private
+   */
+  _removeSession(sessionId) {
+    const entry = this.sessionDocs.get(sessionId);
+    if (!entry) return;
+
+    for (const docId of entry.docIds) {
+      const doc = this.docs.get(docId);
+      if (!doc) continue;
+      this.totalLength -= doc.length;
+      this.docs.delete(docId);
+      for (const term of new Set(tokenize(doc.text))) {
+        const posting = this.postings.get(term);
+        if (!posting) continue;
+        posting.delete(docId);
+        if (posting.size === 0) this.postings.delete(term);
+      }
+    }
+    this.sessionDocs.delete(sessionId);
+  }
+
+  /**
+   * BM25 scores for documents containing any query term
+   * @private
+   */
+  _bm25(terms, matches) {
+    const scores = new Map();
+    const docCount = this.docs.size;
+    if (docCount === 0) return scores;
+    const avgLength = this.totalLength / docCount;
+
+    for (const term of new Set(terms)) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [docId, tf] of posting) {
+        const doc = this.docs.get(docId);
+        if (!matches(doc)) continue;
+        const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+        scores.set(docId, (scores.get(docId) || 0) + idf * norm);
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Cosine similarity between the query and every embedded document
+   * @private
+   */
+  async _semanticScores(query, matches, settings) {
+    this._loadEmbeddings();
+    const model = settings.embeddingModel;
+    const keyOf = (doc) => crypto.createHash("sha1").update(`${model}\n${doc.text}`).digest("hex");
+
+    // Embed documents that don't have a vector yet, newest first
+    const pending = [...this.docs.values()]
+      .filter((doc) => matches(doc) && !this.embeddings.has(keyOf(doc)))
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+      .slice(0, EMBED_MAX_PER_SEARCH);
+
+    for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+      const batch = pending.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await this.embed(batch.map((doc) => doc.text.slice(0, EMBED_TEXT_LENGTH)), model);
+      const records = batch.map((doc, j) => ({ key: keyOf(doc), vector: vectors[j] }));
+      for (const record of records) {
+        this.embeddings.set(record.key, record.vector);
+      }
+      fs.mkdirSync(this.searchDir, { recursive: true });
+      appendJsonLines(this.embeddingsPath, records);
+    }
+
+    const [queryVector] = await this.embed([query], model);
+    const scores = new Map();
+    for (const doc of this.docs.values()) {
+      if (!matches(doc)) continue;
+      const vector = this.embeddings.get(keyOf(doc));
+      if (vector) scores.set(doc.id, cosine(queryVector, vector));
+    }
+    return scores;
+  }
+
+  /**
+   * @private
+   */
+  _loadEmbeddings() {
+    if (this.embeddings) return;
+    this.embeddings = new Map();
+    for (const record of readJsonLines(this.embeddingsPath)) {
+      if (record.key && Array.isArray(record.vector)) {
+        this.embeddings.set(record.key, record.vector);
+      }
+    }
+  }
+
+  /**
+   * Call Ollama's embedding endpoint
+   * @param {Array<string>} texts
+   * @param {string} model - Ollama embedding model
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embed(texts, model) {
+    const settings = this.config.userDataPath ? loadSettings(this.config.userDataPath) : this.config;
+    const baseUrl = settings.providers?.ollama?.apiBase || this.config.ollamaBase || "http://127.0.0.1:11434";
+
+    const response = await fetch(`${baseUrl}/api/embed`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model, input: texts }),
+      signal: AbortSignal.timeout(EMBED_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Ollama embeddings error: ${response.status} ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+      throw new Error("Ollama returned no embeddings");
+    }
+    return data.embeddings;
+  }
+
+  /**
+   * Short excerpt around the first matching term
+   * @private
+   */
+  _snippet(text, terms) {
+    const lower = text.toLowerCase();
+    const positions = terms.map((term) => lower.indexOf(term)).filter((pos) => pos >= 0);
+    const at = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, at - SNIPPET_RADIUS);
+    const end = Math.min(text.length, at + SNIPPET_RADIUS);
+    return `${start > 0 ? "..." : ""}${text.slice(start, end).replace(/\s+/g, " ").trim()}${end < text.length ? "..." : ""}`;
+  }
+}
+
+module.exports = { HistoryIndex, tokenize, cosine, SEARCH_DEFAULTS };
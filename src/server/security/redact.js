@@ -0,0 +1,66 @@
+/**
+ * Secret Redaction
+ * Masks API keys, tokens and passwords in text that leaves the machine
+ */
+
+const REDACTED = "[REDACTED]";
+
+// Well-known credential formats
+const SECRET_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\bsk-(?:or-|proj-|ant-)?[A-Za-z0-9_-]{20,}/g, // OpenAI, OpenRouter, Anthropic
+  /\bgsk_[A-Za-z0-9]{20,}/g, // Groq
+  /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{30,}/g, // GitHub tokens
+  /\bgithub_pat_[A-Za-z0-9_]{30,}/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g, // Slack
+  /\bAKIA[0-9A-Z]{16}\b/g, // AWS access key ID
+  /\bAIza[0-9A-Za-z_-]{35}\b/g, // Google API key
+  /\b\d{8,10}:[A-Za-z0-9_-]{35}\b/g, // Telegram bot token
+  /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g, // JWT
+];
+
+// key=value / "key": "value" pairs whose key looks secret
+const ASSIGNMENT_PATTERN =
+  /((?:api[_-]?key|secret|token|password|passwd|pwd|auth|authorization|access[_-]?key|private[_-]?key)["']?\s*[:=]\s*["']?)(?:Bearer\s+)?([^\s"',;]{6,})/gi;
+
+const BEARER_PATTERN = /(\bBearer\s+)[A-Za-z0-9._~+/=-]{10,}/g;
+
+/**
+ * Collect configured secrets (provider keys, bot tokens) from settings
+ * @param {Object} settings - Loaded settings
+ * @returns {Array<string>}
+ */
+function collectKnownSecrets(settings = {}) {
+  const secrets = [];
+  for (const provider of Object.values(settings.providers || {})) {
+    if (provider?.apiKey) secrets.push(provider.apiKey);
+  }
+  if (settings.telegram?.token) secrets.push(settings.telegram.token);
+  if (settings.apiKey) secrets.push(settings.apiKey);
+  return secrets.filter((secret) => typeof secret === "string" && secret.length >= 8);
+}
+
+/**
+ * Replace secrets in a string
+ * @param {string} text - Text to scrub
+ * @param {Array<string>} knownSecrets - Exact values to mask as well
+ * @returns {string}
+ */
+function redactSecrets(text, knownSecrets = []) {
+  if (!text || typeof text !== "string") return text;
+
+  let result = text;
+  for (const secret of knownSecrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  for (const pattern of SECRET_PATTERNS) {
+    result = result.replace(pattern, REDACTED);
+  }
+  result = result.replace(BEARER_PATTERN, `$1${REDACTED}`);
+  result = result.replace(ASSIGNMENT_PATTERN, (match, prefix, value) =>
+    value === REDACTED ? match : `${prefix}${REDACTED}`);
+
+  return result;
+}
+
+module.exports = { redactSecrets, collectKnownSecrets, REDACTED };
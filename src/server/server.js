@@ -1,11 +1,17 @@
 // server.js - ChatDock Backend (Nanobot Architecture)
 const express = require("express");
 const cors = require("cors");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
 const { Agent } = require("./agent/loop");
+const { createStreamWriter, createEventStream } = require("./agent/stream-writer");
+const { exportSession, importSession } = require("./session/export");
+const { collectKnownSecrets } = require("./security/redact");
 const { getServerConfig } = require("./config/settings");
 const { bootstrapWorkspace } = require("./utils/bootstrap");
 const { TelegramChannel } = require("./channels/telegram");
 const { WhatsAppChannel } = require("./channels/whatsapp");
+const { DesktopChannel } = require("./channels/desktop");
 const { CronScheduler } = require("./cron/scheduler");
 
 // 1. Bootstrap Workspace
@@ -21,6 +27,12 @@ scheduler.start();
 // Pass scheduler to agent for tool access
 agent.setScheduler(scheduler);
 
+// Restore saved subagents and start retention cleanup
+agent.subagentManager.start();
+
+// Hot reload skills from the bundled, user and project skill directories
+agent.ready.then(() => agent.watchSkills());
+
 // 3. Start Channels & Message Bus
 const { getMessageBus } = require("./bus/queue");
 const bus = getMessageBus();
@@ -33,12 +45,36 @@ const whatsapp = new WhatsAppChannel(config);
 whatsapp.initOutbound(); // Initialize outbound listener
 whatsapp.start().catch(err => console.error("[whatsapp] Failed to start:", err));
 
+const desktop = new DesktopChannel();
+desktop.initOutbound(); // Subagent results etc. for the desktop app (GET /notifications)
+
 // 4. Start Agent Listen Loop (Nanobot Architecture)
 agent.listen(bus).catch(err => console.error("[agent] Listen error:", err));
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "20mb" })); // Session imports can be large
+
+const LOOPBACK_ADDRESSES = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+// Set by the desktop app for each launch and sent by its window as X-ChatDock-App.
+// Taken out of the environment so tools and skills started by the server can't read it.
+const APP_SECRET = process.env.CHATDOCK_APP_SECRET || "";
+delete process.env.CHATDOCK_APP_SECRET;
+
+/**
+ * Only the desktop app on this machine may call the route: the request must come
+ * over loopback and carry the secret the app was launched with
+ */
+function desktopOnly(req, res, next) {
+  const given = Buffer.from(req.get("x-chatdock-app") || "");
+  const expected = Buffer.from(APP_SECRET);
+  const fromApp = APP_SECRET && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  if (!LOOPBACK_ADDRESSES.has(req.socket.remoteAddress) || !fromApp) {
+    return res.status(403).json({ success: false, error: "Only the ChatDock app on this machine can do this" });
+  }
+  next();
+}
 
 // Health Check
 app.get("/health", async (_req, res) => {
@@ -84,6 +120,63 @@ app.get("/providers", async (_req, res) => {
   });
 });
 
+// Tools (built-in and skill-bundled), grouped by category
+app.get("/tools", (_req, res) => {
+  res.json({ success: true, categories: agent.tools.describeTools() });
+});
+
+// Skills (bundled, ~/.chatdock/skills and settings.skills.paths)
+app.get("/skills", (_req, res) => {
+  res.json({ success: true, skills: agent.skills.describeSkills(), roots: agent.skills.getRoots() });
+});
+
+app.post("/skills/reload", async (_req, res) => {
+  try {
+    const skills = await agent.reloadSkills();
+    res.json({ success: true, skills });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Installs the agent asked for (install_skill), waiting for the user's approval
+app.get("/skills/installs", (_req, res) => {
+  res.json({ success: true, requests: agent.skillInstaller.listRequests() });
+});
+
+app.post("/skills/installs/:id/dismiss", (req, res) => {
+  if (!agent.skillInstaller.dismiss(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Install request not found" });
+  }
+  res.json({ success: true });
+});
+
+// Run a skill's install recipe { installer?, requestId? } (this is the user's approval)
+app.post("/skills/:name/install", desktopOnly, async (req, res) => {
+  try {
+    const result = await agent.skillInstaller.install(req.params.name, req.body?.installer, {
+      requestId: req.body?.requestId,
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/skills/:name/enable", (req, res) => {
+  if (!agent.setSkillEnabled(req.params.name, true)) {
+    return res.status(404).json({ success: false, error: "Skill not found" });
+  }
+  res.json({ success: true, name: req.params.name, enabled: true });
+});
+
+app.post("/skills/:name/disable", (req, res) => {
+  if (!agent.setSkillEnabled(req.params.name, false)) {
+    return res.status(404).json({ success: false, error: "Skill not found" });
+  }
+  res.json({ success: true, name: req.params.name, enabled: false });
+});
+
 app.post("/models/selected", (req, res) => {
   const model = String(req.body?.model || "").trim();
   if (model) {
@@ -101,13 +194,222 @@ app.post("/chat", async (req, res) => {
   const userMsg = String(req.body?.message || "").trim();
   if (!userMsg) return res.status(400).send("Message required");
 
-  // Set headers for streaming
-  res.setHeader("Content-Type", "text/plain; charset=utf-8");
-  res.setHeader("Cache-Control", "no-cache");
+  const sessionId = String(req.body?.sessionId || "default");
+  const runId = uuidv4();
+
+  // Plain text by default; NDJSON or SSE events when the Accept header asks for them
+  const writer = createStreamWriter(req, res, { sessionId });
+  writer.start();
+
+  // Abort the run if the client goes away before it finishes
+  res.on("close", () => {
+    if (!res.writableFinished) agent.runs.cancel(runId, "Client disconnected");
+  });
 
   // Run Agent
-  // Note: Agent.run writes directly to res
-  await agent.run(userMsg, res, { model: req.body?.model });
+  // Note: Agent.run streams events through the writer
+  await agent.run(userMsg, writer, {
+    runId,
+    model: req.body?.model,
+    sessionId,
+    platform: "desktop",
+    budget: req.body?.budget, // { maxIterations, maxDurationMs, maxToolCalls, maxTokens }
+  });
+});
+
+// Notifications for the desktop app (long-lived NDJSON or SSE stream)
+app.get("/notifications", (req, res) => {
+  desktop.addClient(req, res);
+});
+
+// Subagents
+app.get("/subagents", (req, res) => {
+  res.json({ success: true, subagents: agent.subagentManager.list({ status: req.query.status || undefined }) });
+});
+
+// Live subagent updates: spawned, event (progress), complete, failed, cancelled
+app.get("/subagents/events", (req, res) => {
+  const manager = agent.subagentManager;
+  const send = createEventStream(req, res);
+  send({ type: "subagents", subagents: manager.list() });
+
+  // Internal runs (memory extraction) stay out of the dashboard
+  const visible = (id) => !manager.getStatus(id)?.internal;
+  const listeners = {
+    spawned: (subagent) => !subagent.internal && send({ type: "spawned", subagent }),
+    event: ({ id, event }) => visible(id) && send({ type: "progress", id, event, subagent: manager.getStatus(id) }),
+    complete: ({ id }) => visible(id) && send({ type: "complete", subagent: manager.getStatus(id) }),
+    failed: ({ id }) => visible(id) && send({ type: "failed", subagent: manager.getStatus(id) }),
+    cancelled: ({ id }) => visible(id) && send({ type: "cancelled", subagent: manager.getStatus(id) }),
+  };
+  for (const [name, listener] of Object.entries(listeners)) manager.on(name, listener);
+  res.on("close", () => {
+    for (const [name, listener] of Object.entries(listeners)) manager.off(name, listener);
+  });
+});
+
+app.get("/subagents/:id", (req, res) => {
+  const subagent = agent.subagentManager.getStatus(req.params.id);
+  if (!subagent) {
+    return res.status(404).json({ success: false, error: "Subagent not found" });
+  }
+  res.json({ success: true, subagent, transcript: agent.subagentManager.getTranscript(req.params.id) });
+});
+
+app.post("/subagents/:id/cancel", (req, res) => {
+  if (agent.subagentManager.cancel(req.params.id)) {
+    res.json({ success: true, id: req.params.id });
+  } else {
+    res.status(404).json({ success: false, error: "Subagent not found or not running" });
+  }
+});
+
+// Runs
+app.get("/runs", (_req, res) => {
+  res.json({ success: true, runs: agent.runs.list() });
+});
+
+app.post("/runs/:id/cancel", (req, res) => {
+  const cancelled = agent.runs.cancel(req.params.id);
+  if (cancelled) {
+    res.json({ success: true, id: req.params.id });
+  } else {
+    res.status(404).json({ success: false, error: "Run not found or already finished" });
+  }
+});
+
+// Sessions
+app.get("/sessions", (_req, res) => {
+  res.json({ success: true, sessions: agent.sessions.list() });
+});
+
+app.post("/sessions", (req, res) => {
+  const session = agent.sessions.create({ title: req.body?.title });
+  res.json({ success: true, session: session.getInfo() });
+});
+
+app.patch("/sessions/:id", (req, res) => {
+  const session = agent.sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Session not found" });
+  }
+  session.update({ title: req.body?.title, pinned: req.body?.pinned });
+  res.json({ success: true, session: session.getInfo() });
+});
+
+app.delete("/sessions/:id", (req, res) => {
+  const active = agent.runs.list().some((run) => run.sessionId === req.params.id);
+  if (active) {
+    return res.status(409).json({ success: false, error: "Session has a run in progress" });
+  }
+  if (!agent.sessions.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Session not found" });
+  }
+  res.json({ success: agent.sessions.delete(req.params.id) });
+});
+
+app.post("/sessions/:id/clear", (req, res) => {
+  const session = agent.sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Session not found" });
+  }
+  if (agent.runs.list().some((run) => run.sessionId === req.params.id)) {
+    return res.status(409).json({ success: false, error: "Session has a run in progress" });
+  }
+  agent.clearSession(session);
+  res.json({ success: true, session: session.getInfo() });
+});
+
+app.post("/sessions/:id/extract-memories", async (req, res) => {
+  if (!agent.sessions.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Session not found" });
+  }
+  try {
+    const proposals = await agent.memoryExtractor.extractSession(req.params.id, { reason: "manual", force: true });
+    res.json({ success: true, proposals: proposals || [] });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/sessions/:id/export", (req, res) => {
+  const session = agent.sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Session not found" });
+  }
+
+  try {
+    const { content, contentType, filename } = exportSession(session, String(req.query.format || "md"), {
+      redact: req.query.redact !== "false",
+      knownSecrets: collectKnownSecrets(agent.config),
+    });
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/sessions/import", (req, res) => {
+  try {
+    const session = importSession(agent.sessions, req.body);
+    res.json({ success: true, session: session.getInfo() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/sessions/:id/messages", (req, res) => {
+  const session = agent.sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Session not found" });
+  }
+  const limit = parseInt(req.query.limit, 10) || undefined;
+  res.json({ success: true, session: session.getInfo(), messages: session.getMessages(limit) });
+});
+
+// Search across all conversations
+app.get("/search", async (req, res) => {
+  const query = String(req.query.q || "").trim();
+  if (!query) {
+    return res.status(400).json({ success: false, error: "Query parameter q required" });
+  }
+
+  try {
+    const { results, semantic } = await agent.searchIndex.search(query, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 10, 50),
+      sessionId: req.query.sessionId || undefined,
+      role: req.query.role || undefined,
+      semantic: req.query.semantic === undefined ? undefined : req.query.semantic !== "false",
+    });
+    res.json({ success: true, query, semantic, results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Memory review queue (facts proposed from conversations)
+app.get("/memory/review", (_req, res) => {
+  res.json({ success: true, proposals: agent.memoryExtractor.listProposals() });
+});
+
+app.post("/memory/review/:id/accept", (req, res) => {
+  const memory = agent.memoryExtractor.accept(req.params.id, {
+    content: req.body?.content,
+    category: req.body?.category,
+  });
+  if (!memory) {
+    return res.status(404).json({ success: false, error: "Proposal not found" });
+  }
+  res.json({ success: true, memory });
+});
+
+app.post("/memory/review/:id/reject", (req, res) => {
+  if (!agent.memoryExtractor.reject(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Proposal not found" });
+  }
+  res.json({ success: true });
 });
 
 // Cron API Endpoints
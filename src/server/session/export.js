@@ -0,0 +1,282 @@
+/**
+ * Session Export / Import
+ * Renders a session transcript as Markdown, JSON or standalone HTML,
+ * and restores sessions from JSON exports.
+ *
+ * JSON exports are the interchange format:
+ *   { format: "chatdock-session", version, exportedAt, session: {...}, messages: [...] }
+ */
+
+const { redactSecrets } = require("../security/redact");
+
+const EXPORT_FORMAT = "chatdock-session";
+const EXPORT_VERSION = 1;
+const MESSAGE_ROLES = new Set(["system", "user", "assistant", "tool"]);
+
+const FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+};
+
+const ROLE_LABELS = {
+  system: "System",
+  user: "User",
+  assistant: "Assistant",
+  tool: "Tool result",
+};
+
+/**
+ * Build the JSON export document for a session
+ * @param {Session} session
+ * @param {Object} options - { redact: boolean, knownSecrets: Array<string> }
+ * @returns {Object}
+ */
+function buildExport(session, { redact = true, knownSecrets = [] } = {}) {
+  const scrub = (text) => (redact ? redactSecrets(text, knownSecrets) : text);
+
+  const messages = session.getMessages().map((msg) => {
+    const record = { role: msg.role, content: scrub(msg.content || "") };
+    if (msg.timestamp) record.timestamp = new Date(msg.timestamp).toISOString();
+    if (msg.model) record.model = msg.model;
+    if (msg.provider) record.provider = msg.provider;
+    if (msg.name) record.name = msg.name;
+    if (msg.tool_call_id) record.tool_call_id = msg.tool_call_id;
+    if (msg.tool_calls) {
+      record.tool_calls = msg.tool_calls.map((tc) => ({
+        id: tc.id,
+        type: "function",
+        function: { name: tc.function?.name, arguments: scrub(tc.function?.arguments || "{}") },
+      }));
+    }
+    return record;
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    redacted: redact,
+    session: {
+      id: session.id,
+      title: session.title,
+      channelId: session.channelId,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActivityAt: new Date(session.lastActivityAt).toISOString(),
+      summary: scrub(session.summary || ""),
+    },
+    messages,
+  };
+}
+
+/**
+ * Pretty-print tool call arguments when they are valid JSON
+ * @private
+ */
+function formatArguments(args) {
+  try {
+    return JSON.stringify(JSON.parse(args), null, 2);
+  } catch (e) {
+    return args;
+  }
+}
+
+/**
+ * Longest run of backticks in text, so fences never collide with content
+ * @private
+ */
+function fenceFor(text) {
+  const runs = String(text).match(/`+/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+  return "`".repeat(Math.max(3, longest + 1));
+}
+
+function renderMarkdown(doc) {
+  const lines = [`# ${doc.session.title || "Conversation"}`, ""];
+  lines.push(`- Session: \`${doc.session.id}\``);
+  lines.push(`- Created: ${doc.session.createdAt}`);
+  lines.push(`- Exported: ${doc.exportedAt}${doc.redacted ? " (secrets redacted)" : ""}`);
+  lines.push("");
+
+  if (doc.session.summary) {
+    lines.push("> **Summary of earlier turns:** " + doc.session.summary.replace(/\n/g, "\n> "), "");
+  }
+
+  for (const msg of doc.messages) {
+    const details = [msg.timestamp, msg.model && `${msg.provider ? `${msg.provider}/` : ""}${msg.model}`]
+      .filter(Boolean)
+      .join(" · ");
+    const label = msg.role === "tool" ? `${ROLE_LABELS.tool}: \`${msg.name}\`` : ROLE_LABELS[msg.role] || msg.role;
+    lines.push(`### ${label}${details ? ` — ${details}` : ""}`, "");
+
+    if (msg.role === "tool") {
+      const fence = fenceFor(msg.content);
+      lines.push(fence, msg.content, fence, "");
+      continue;
+    }
+
+    if (msg.content) lines.push(msg.content, "");
+
+    for (const tc of msg.tool_calls || []) {
+      const args = formatArguments(tc.function.arguments);
+      const fence = fenceFor(args);
+      lines.push(`**Tool call:** \`${tc.function.name}\``, "", `${fence}json`, args, fence, "");
+    }
+  }
+
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function renderHtml(doc) {
+  const title = escapeHtml(doc.session.title || "Conversation");
+  const items = doc.messages.map((msg) => {
+    const meta = [msg.timestamp, msg.model && `${msg.provider ? `${msg.provider}/` : ""}${msg.model}`]
+      .filter(Boolean)
+      .map(escapeHtml)
+      .join(" · ");
+
+    if (msg.role === "tool") {
+      return `<details class="msg tool"><summary>${ROLE_LABELS.tool}: <code>${escapeHtml(msg.name)}</code>` +
+        `<span class="meta">${meta}</span></summary><pre>${escapeHtml(msg.content)}</pre></details>`;
+    }
+
+    const calls = (msg.tool_calls || []).map((tc) =>
+      `<div class="call">Tool call: <code>${escapeHtml(tc.function.name)}</code>` +
+      `<pre>${escapeHtml(formatArguments(tc.function.arguments))}</pre></div>`).join("");
+    const content = msg.content ? `<div class="content">${escapeHtml(msg.content)}</div>` : "";
+
+    return `<div class="msg ${escapeHtml(msg.role)}"><div class="role">${escapeHtml(ROLE_LABELS[msg.role] || msg.role)}` +
+      `<span class="meta">${meta}</span></div>${content}${calls}</div>`;
+  }).join("\n");
+
+  const summary = doc.session.summary
+    ? `<div class="summary"><strong>Summary of earlier turns:</strong> ${escapeHtml(doc.session.summary)}</div>`
+    : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${title}</title>
+<style>
+  body { font-family: -apple-system, "Inter", sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  header p { color: #6b7280; font-size: 0.85rem; margin: 0.2rem 0; }
+  .msg { border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem 1rem; margin: 0.75rem 0; }
+  .msg.user { background: #f3f4f6; }
+  .msg.tool { background: #fafafa; font-size: 0.85rem; }
+  .role { font-weight: 600; margin-bottom: 0.4rem; }
+  .meta { font-weight: 400; color: #9ca3af; font-size: 0.75rem; margin-left: 0.5rem; }
+  .content { white-space: pre-wrap; }
+  .call { margin-top: 0.5rem; font-size: 0.85rem; }
+  pre { background: #111827; color: #e5e7eb; padding: 0.6rem; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+  .summary { background: #fef3c7; padding: 0.6rem 1rem; border-radius: 8px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${title}</h1>
+  <p>Session <code>${escapeHtml(doc.session.id)}</code> · created ${escapeHtml(doc.session.createdAt)}</p>
+  <p>Exported ${escapeHtml(doc.exportedAt)}${doc.redacted ? " · secrets redacted" : ""}</p>
+</header>
+${summary}
+${items}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a session in the requested format
+ * @param {Session} session
+ * @param {string} format - md, json or html
+ * @param {Object} options - { redact, knownSecrets }
+ * @returns {{content: string, contentType: string, filename: string}}
+ */
+function exportSession(session, format = "md", options = {}) {
+  const spec = FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown export format: ${format}. Use one of: ${Object.keys(FORMATS).join(", ")}`);
+  }
+
+  const doc = buildExport(session, options);
+  let content;
+  if (format === "json") {
+    content = JSON.stringify(doc, null, 2);
+  } else if (format === "html") {
+    content = renderHtml(doc);
+  } else {
+    content = renderMarkdown(doc);
+  }
+
+  const slug = (session.title || session.id).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "session";
+  return { content, contentType: spec.contentType, filename: `chatdock-${slug}.${spec.extension}` };
+}
+
+/**
+ * Tool calls of an imported assistant message, reduced to the chat format
+ * @private
+ */
+function importToolCalls(toolCalls, index) {
+  if (!Array.isArray(toolCalls) || !toolCalls.every((tc) => typeof tc?.function?.name === "string")) {
+    throw new Error(`Invalid tool_calls in message at index ${index}`);
+  }
+  return toolCalls.map((tc) => ({
+    id: String(tc.id || ""),
+    type: "function",
+    function: {
+      name: tc.function.name,
+      arguments: typeof tc.function.arguments === "string" ? tc.function.arguments : JSON.stringify(tc.function.arguments ?? {}),
+    },
+  }));
+}
+
+/**
+ * Create a new session from a JSON export
+ * The imported session always gets a fresh ID so it never overwrites an existing one.
+ * @param {SessionManager} manager
+ * @param {Object} doc - Parsed JSON export
+ * @returns {Session}
+ */
+function importSession(manager, doc) {
+  if (!doc || doc.format !== EXPORT_FORMAT) {
+    throw new Error(`Not a ChatDock session export (expected format "${EXPORT_FORMAT}")`);
+  }
+  if (!Array.isArray(doc.messages)) {
+    throw new Error("Export has no messages array");
+  }
+
+  const messages = doc.messages.map((msg, index) => {
+    if (!msg || !MESSAGE_ROLES.has(msg.role) || typeof (msg.content ?? "") !== "string") {
+      throw new Error(`Invalid message at index ${index}`);
+    }
+    // Only chat fields are kept; anything else in the file would be stored and sent to the LLM
+    const record = { role: msg.role, content: msg.content || "" };
+    if (msg.role === "assistant" && msg.tool_calls !== undefined) {
+      record.tool_calls = importToolCalls(msg.tool_calls, index);
+    }
+    if (msg.role === "tool" && msg.tool_call_id !== undefined) record.tool_call_id = String(msg.tool_call_id);
+    if (typeof msg.name === "string") record.name = msg.name;
+    record.timestamp = msg.timestamp ? Date.parse(msg.timestamp) || Date.now() : Date.now();
+    return record;
+  });
+
+  const session = manager.create({
+    title: doc.session?.title ? `${doc.session.title} (imported)` : "Imported conversation",
+    metadata: { importedFrom: doc.session?.id, importedAt: Date.now() },
+  });
+  if (messages.length > 0) {
+    session.addMessages(messages);
+  }
+  return session;
+}
+
+module.exports = { exportSession, importSession, buildExport, FORMATS };
@@ -1,19 +1,43 @@
 /**
  * Session Manager
  * Manages conversation sessions for multi-user support
+ *
+ * Each session is kept in its own object, so concurrent conversations
+ * (desktop UI, Telegram, WhatsApp, ...) never share history. On disk a
+ * session is two files in ~/.chatdock/sessions/:
+ *   <id>.jsonl      - append-only message log, one message per line
+ *   <id>.meta.json  - session info and running summary, written atomically
+ * Writes take a per-session lock file so several processes can share the directory.
  */
 
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
+const { withFileLock, writeFileAtomic, appendJsonLines, readJsonLines } = require("../utils/file-store");
+
+const LOG_EXT = ".jsonl";
+const META_EXT = ".meta.json";
+const LEGACY_EXT = ".json";
+const MAX_CACHED_SESSIONS = 50; // Loaded sessions kept in memory; others are read from disk when needed
+const RECORD_FIELDS = ["timestamp", "model", "provider"]; // Stored per message, never sent to the LLM
+
+/**
+ * File name stem for a session ID (IDs may contain ":" or "/")
+ * Leading dots are encoded too, so "." or ".." can't name a path segment or a hidden file.
+ * @private
+ */
+function fileStem(sessionId) {
+  return encodeURIComponent(sessionId).replace(/^\.+/, (dots) => "%2E".repeat(dots.length));
+}
 
 class SessionManager {
   constructor(config = {}) {
     this.config = config;
     this.sessionsDir = path.join(config.userDataPath || ".", "sessions");
-    this.sessions = new Map(); // sessionId -> Session
+    this.sessions = new Map(); // sessionId -> Session, least recently used first
+    this.isInUse = null; // (sessionId) => true while something still writes through the loaded Session
     this.defaultSessionId = "default";
-    
+
     // Ensure sessions directory exists
     try {
       if (!fs.existsSync(this.sessionsDir)) {
@@ -29,17 +53,19 @@ class SessionManager {
    * @param {Object} options - Session options
    * @returns {Session}
    */
-  create({ id, userId, channelId, metadata } = {}) {
+  create({ id, userId, channelId, metadata, title } = {}) {
     const sessionId = id || uuidv4();
     const session = new Session({
       id: sessionId,
       userId,
       channelId,
       metadata,
+      title,
       sessionsDir: this.sessionsDir,
     });
-    
-    this.sessions.set(sessionId, session);
+    session.save();
+
+    this._cache(session);
     console.log(`[session] Created session: ${sessionId}`);
     return session;
   }
@@ -51,19 +77,7 @@ class SessionManager {
    * @returns {Session}
    */
   getOrCreate(sessionId, options = {}) {
-    if (this.sessions.has(sessionId)) {
-      return this.sessions.get(sessionId);
-    }
-    
-    // Try to load from disk
-    const session = this._loadFromDisk(sessionId);
-    if (session) {
-      this.sessions.set(sessionId, session);
-      return session;
-    }
-    
-    // Create new
-    return this.create({ id: sessionId, ...options });
+    return this.get(sessionId) || this.create({ id: sessionId, ...options });
   }
 
   /**
@@ -72,20 +86,49 @@ class SessionManager {
    * @returns {Session|null}
    */
   get(sessionId) {
-    if (this.sessions.has(sessionId)) {
-      return this.sessions.get(sessionId);
-    }
-    
-    // Try to load from disk
-    const session = this._loadFromDisk(sessionId);
+    // Loaded, or else try to load from disk
+    const session = this.sessions.get(sessionId) || this._loadFromDisk(sessionId);
     if (session) {
-      this.sessions.set(sessionId, session);
+      this._cache(session);
       return session;
     }
-    
+
     return null;
   }
 
+  /**
+   * Keep a session loaded as the most recently used one, dropping the least
+   * recently used beyond MAX_CACHED_SESSIONS (their state is all on disk)
+   * @private
+   */
+  _cache(session) {
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+
+    for (const id of this.sessions.keys()) {
+      if (this.sessions.size <= MAX_CACHED_SESSIONS) break;
+      // A session something still writes to stays, so it isn't loaded twice
+      if (id !== session.id && !this.isInUse?.(id)) this.sessions.delete(id);
+    }
+  }
+
+  /**
+   * Stored messages of a session, read from disk unless it is already loaded,
+   * so scanning every conversation (e.g. for search) doesn't keep them all in memory
+   * @param {string} sessionId - Session ID
+   * @returns {Array}
+   */
+  readMessages(sessionId) {
+    const loaded = this.sessions.get(sessionId);
+    if (loaded) return loaded.getMessages();
+
+    const logPath = path.join(this.sessionsDir, fileStem(sessionId) + LOG_EXT);
+    if (!fs.existsSync(logPath)) {
+      return this.get(sessionId)?.getMessages() || []; // Legacy file: loading migrates it
+    }
+    return readJsonLines(logPath);
+  }
+
   /**
    * Get or create the default session (for backward compatibility)
    * @returns {Session}
@@ -95,33 +138,49 @@ class SessionManager {
   }
 
   /**
-   * List all sessions
+   * List all sessions, pinned first, then most recently active
    * @returns {Array}
    */
   list() {
     const sessions = [];
-    
+
     // From memory
-    for (const [id, session] of this.sessions) {
+    for (const session of this.sessions.values()) {
       sessions.push(session.getInfo());
     }
-    
+
     // From disk (not loaded yet)
     try {
       const files = fs.readdirSync(this.sessionsDir);
       for (const file of files) {
-        if (file.endsWith(".json")) {
-          const id = file.replace(".json", "");
-          if (!this.sessions.has(id)) {
-            sessions.push({ id, loaded: false });
-          }
+        if (!file.endsWith(META_EXT)) continue;
+        const id = decodeURIComponent(file.slice(0, -META_EXT.length));
+        if (this.sessions.has(id)) continue;
+
+        try {
+          const meta = JSON.parse(fs.readFileSync(path.join(this.sessionsDir, file), "utf-8"));
+          sessions.push({
+            id,
+            title: meta.title || "",
+            pinned: !!meta.pinned,
+            userId: meta.userId,
+            channelId: meta.channelId,
+            messageCount: meta.messageCount,
+            generation: meta.generation || 0,
+            createdAt: meta.createdAt,
+            lastActivityAt: meta.lastActivityAt,
+            loaded: false,
+          });
+        } catch (e) {
+          sessions.push({ id, loaded: false });
         }
       }
     } catch (e) {
       // ignore
     }
-    
-    return sessions;
+
+    return sessions.sort((a, b) =>
+      (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || (b.lastActivityAt || 0) - (a.lastActivityAt || 0));
   }
 
   /**
@@ -131,12 +190,16 @@ class SessionManager {
    */
   delete(sessionId) {
     this.sessions.delete(sessionId);
-    
-    const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
+
+    const stem = path.join(this.sessionsDir, fileStem(sessionId));
     try {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+      withFileLock(`${stem}.lock`, () => {
+        for (const ext of [LOG_EXT, META_EXT, LEGACY_EXT]) {
+          if (fs.existsSync(stem + ext)) {
+            fs.unlinkSync(stem + ext);
+          }
+        }
+      });
       return true;
     } catch (e) {
       console.error("[session] Failed to delete session:", e);
@@ -149,22 +212,55 @@ class SessionManager {
    * @private
    */
   _loadFromDisk(sessionId) {
-    const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
+    const stem = path.join(this.sessionsDir, fileStem(sessionId));
     try {
-      if (fs.existsSync(filePath)) {
-        const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      if (fs.existsSync(stem + META_EXT) || fs.existsSync(stem + LOG_EXT)) {
+        const meta = fs.existsSync(stem + META_EXT)
+          ? JSON.parse(fs.readFileSync(stem + META_EXT, "utf-8"))
+          : {};
         const session = new Session({
-          ...data,
+          ...meta,
+          id: sessionId,
+          history: readJsonLines(stem + LOG_EXT),
           sessionsDir: this.sessionsDir,
         });
         console.log(`[session] Loaded session from disk: ${sessionId}`);
         return session;
       }
+
+      if (fs.existsSync(stem + LEGACY_EXT)) {
+        return this._migrateLegacy(sessionId, stem);
+      }
     } catch (e) {
       console.error(`[session] Failed to load session ${sessionId}:`, e);
     }
     return null;
   }
+
+  /**
+   * Convert a pre-JSONL session file (<id>.json with a history array)
+   * The original is kept as <id>.json.bak
+   * @private
+   */
+  _migrateLegacy(sessionId, stem) {
+    const data = JSON.parse(fs.readFileSync(stem + LEGACY_EXT, "utf-8"));
+    const session = new Session({
+      ...data,
+      id: sessionId,
+      history: [],
+      sessionsDir: this.sessionsDir,
+    });
+
+    withFileLock(`${stem}.lock`, () => {
+      writeFileAtomic(stem + LOG_EXT, (data.history || []).map((msg) => `${JSON.stringify(msg)}\n`).join(""));
+      session.history = data.history || [];
+      session._writeMeta();
+      fs.renameSync(stem + LEGACY_EXT, `${stem}${LEGACY_EXT}.bak`);
+    });
+
+    console.log(`[session] Migrated legacy session file: ${sessionId}`);
+    return session;
+  }
 }
 
 /**
@@ -172,14 +268,35 @@ class SessionManager {
  * Represents a single conversation session
  */
 class Session {
-  constructor({ id, userId, channelId, metadata, sessionsDir, history } = {}) {
+  constructor({
+    id,
+    userId,
+    channelId,
+    metadata,
+    title,
+    pinned,
+    activeSkills,
+    sessionsDir,
+    history,
+    summary,
+    summarizedCount,
+    generation,
+    createdAt,
+    lastActivityAt,
+  } = {}) {
     this.id = id;
     this.userId = userId;
     this.channelId = channelId;
     this.metadata = metadata || {};
+    this.title = title || "";
+    this.pinned = !!pinned;
+    this.activeSkills = activeSkills || []; // Skills loaded with use_skill; their instructions stay in the prompt
     this.history = history || [];
-    this.createdAt = Date.now();
-    this.lastActivityAt = Date.now();
+    this.summary = summary || ""; // Running summary of turns rolled out of the context window
+    this.summarizedCount = summarizedCount || 0; // How many leading messages the summary covers
+    this.generation = generation || 0; // Bumped on every clear, so readers can tell the history was rewritten
+    this.createdAt = createdAt || Date.now();
+    this.lastActivityAt = lastActivityAt || Date.now();
     this.sessionsDir = sessionsDir;
   }
 
@@ -190,14 +307,22 @@ class Session {
    * @param {Object} metadata - Optional metadata
    */
   addMessage(role, content, metadata = {}) {
-    this.history.push({
-      role,
-      content,
-      timestamp: Date.now(),
-      ...metadata,
-    });
+    this.addMessages([{ role, content, ...metadata }]);
+  }
+
+  /**
+   * Append complete chat messages (assistant tool calls, tool results, ...)
+   * @param {Array} messages - Messages in chat format
+   */
+  addMessages(messages) {
+    const records = messages.map((msg) => ({ ...msg, timestamp: msg.timestamp || Date.now() }));
     this.lastActivityAt = Date.now();
-    this.save();
+
+    this.history.push(...records);
+    this._withLock(() => {
+      appendJsonLines(this._filePath(LOG_EXT), records);
+      this._writeMeta();
+    });
   }
 
   /**
@@ -213,11 +338,65 @@ class Session {
   }
 
   /**
-   * Clear history
+   * Get the running summary and the messages not yet covered by it,
+   * in the format sent to the LLM
+   * @returns {{summary: string, summarizedCount: number, messages: Array}}
+   */
+  getContext() {
+    return {
+      summary: this.summary,
+      summarizedCount: this.summarizedCount,
+      messages: this.history.slice(this.summarizedCount).map((record) => {
+        const msg = { ...record };
+        for (const field of RECORD_FIELDS) delete msg[field];
+        return msg;
+      }),
+    };
+  }
+
+  /**
+   * Store an updated running summary
+   * @param {string} summary - Summary text
+   * @param {number} summarizedCount - Leading messages it covers
+   */
+  setSummary(summary, summarizedCount) {
+    this.summary = summary;
+    this.summarizedCount = Math.min(summarizedCount, this.history.length);
+    this.save();
+  }
+
+  /**
+   * Update user-editable session fields
+   * @param {Object} updates - { title, pinned }
+   */
+  update({ title, pinned } = {}) {
+    if (title !== undefined) this.title = String(title).trim();
+    if (pinned !== undefined) this.pinned = !!pinned;
+    this.save();
+  }
+
+  /**
+   * Replace the skills active in this conversation
+   * @param {Array<string>} names - Skill names
+   */
+  setActiveSkills(names) {
+    this.activeSkills = [...new Set(names)];
+    this.save();
+  }
+
+  /**
+   * Clear history (active skills go with it)
    */
   clear() {
     this.history = [];
-    this.save();
+    this.activeSkills = [];
+    this.generation++;
+    this.summary = "";
+    this.summarizedCount = 0;
+    this._withLock(() => {
+      writeFileAtomic(this._filePath(LOG_EXT), "");
+      this._writeMeta();
+    });
   }
 
   /**
@@ -227,9 +406,13 @@ class Session {
   getInfo() {
     return {
       id: this.id,
+      title: this.title,
+      pinned: this.pinned,
+      activeSkills: this.activeSkills,
       userId: this.userId,
       channelId: this.channelId,
       messageCount: this.history.length,
+      generation: this.generation,
       createdAt: this.createdAt,
       lastActivityAt: this.lastActivityAt,
       loaded: true,
@@ -237,27 +420,54 @@ class Session {
   }
 
   /**
-   * Save session to disk
+   * Save session info to disk (messages are appended as they arrive)
    */
   save() {
+    this._withLock(() => this._writeMeta());
+  }
+
+  /**
+   * @private
+   */
+  _filePath(ext) {
+    return path.join(this.sessionsDir, fileStem(this.id) + ext);
+  }
+
+  /**
+   * Run a write under the session's lock file; failures are logged, not thrown.
+   * Sessions without a directory are memory-only.
+   * @private
+   */
+  _withLock(fn) {
     if (!this.sessionsDir) return;
-    
-    const filePath = path.join(this.sessionsDir, `${this.id}.json`);
     try {
-      const data = {
-        id: this.id,
-        userId: this.userId,
-        channelId: this.channelId,
-        metadata: this.metadata,
-        history: this.history,
-        createdAt: this.createdAt,
-        lastActivityAt: this.lastActivityAt,
-      };
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf-8");
+      return withFileLock(this._filePath(".lock"), fn);
     } catch (e) {
       console.error(`[session] Failed to save session ${this.id}:`, e);
     }
   }
+
+  /**
+   * @private
+   */
+  _writeMeta() {
+    const data = {
+      id: this.id,
+      userId: this.userId,
+      channelId: this.channelId,
+      metadata: this.metadata,
+      title: this.title,
+      pinned: this.pinned,
+      activeSkills: this.activeSkills,
+      summary: this.summary,
+      summarizedCount: this.summarizedCount,
+      messageCount: this.history.length,
+      generation: this.generation,
+      createdAt: this.createdAt,
+      lastActivityAt: this.lastActivityAt,
+    };
+    writeFileAtomic(this._filePath(META_EXT), JSON.stringify(data, null, 2));
+  }
 }
 
 module.exports = { SessionManager, Session };
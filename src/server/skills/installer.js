@@ -0,0 +1,224 @@
+/**
+ * Skill Installer
+ * Runs the install recipes a SKILL.md declares, once the user has approved them:
+ *
+ *   install:
+ *     - id: brew
+ *       kind: brew              # brew | apt | npm | pip
+ *       formula: steipete/tap/summarize   # brew; apt/npm/pip use `package`
+ *       bins: ["summarize"]     # what the recipe provides (informational)
+ *       label: Install summarize (brew)
+ *
+ * The agent can only ask for an install (install_skill); the request waits
+ * until the user approves it in the desktop app or via POST /skills/:name/install.
+ */
+
+const { spawn } = require("child_process");
+const { v4: uuidv4 } = require("uuid");
+const { findBinary } = require("./requirements");
+
+const INSTALL_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_OUTPUT = 4000; // Characters of installer output kept (the end)
+// Formula/package names passed to the package manager; never an option like --foo
+const SAFE_TARGET = /^[A-Za-z0-9@][A-Za-z0-9@._+/:=~-]*$/;
+
+// How each kind of recipe is run
+const RECIPE_KINDS = {
+  brew: { field: "formula", runner: ["brew"], platforms: ["darwin", "linux"], args: (name) => ["brew", "install", name] },
+  apt: { field: "package", runner: ["apt-get"], platforms: ["linux"], args: (name) => ["apt-get", "install", "-y", name], root: true },
+  npm: { field: "package", runner: ["npm"], args: (name) => ["npm", "install", "-g", name] },
+  pip: { field: "package", runner: ["pip3", "pip"], args: (name, runner) => [runner, "install", "--user", name] },
+};
+
+/**
+ * Install options of a skill, with the exact command each would run
+ * @param {Object} skill - Loaded skill (see SkillsLoader)
+ * @returns {Array} - [{ id, kind, label, command, available, reason }]
+ */
+function getInstallers(skill) {
+  return (skill.install || []).map((recipe, index) => {
+    const kind = RECIPE_KINDS[recipe.kind];
+    const id = String(recipe.id || recipe.kind || index + 1);
+    const target = kind && (recipe[kind.field] || recipe.package);
+    if (!kind || !target) {
+      return { id, kind: recipe.kind, label: recipe.label || id, command: null, available: false, reason: "Unsupported install recipe" };
+    }
+    if (typeof target !== "string" || !SAFE_TARGET.test(target)) {
+      return { id, kind: recipe.kind, label: recipe.label || id, command: null, available: false, reason: `Invalid ${kind.field} name` };
+    }
+
+    const runner = kind.runner.find((bin) => findBinary(bin));
+    let args = kind.args(target, runner || kind.runner[0]);
+    if (kind.root && process.getuid && process.getuid() !== 0) {
+      args = ["sudo", "-n", ...args]; // Never prompts; fails if sudo needs a password
+    }
+
+    let reason = null;
+    if (kind.platforms && !kind.platforms.includes(process.platform)) {
+      reason = `${recipe.kind} is not available on ${process.platform}`;
+    } else if (!runner) {
+      reason = `${kind.runner[0]} is not installed`;
+    }
+
+    return {
+      id,
+      kind: recipe.kind,
+      label: recipe.label || `Install with ${recipe.kind}`,
+      command: args,
+      available: !reason,
+      reason,
+    };
+  });
+}
+
+class SkillInstaller {
+  /**
+   * @param {Agent} agent - Used to look up skills, reload them and notify sessions
+   */
+  constructor(agent) {
+    this.agent = agent;
+    this.requests = new Map(); // requestId -> install asked for by the agent, awaiting approval
+    this.running = new Set(); // skill names being installed
+  }
+
+  /**
+   * Queue an install for the user to approve
+   * @param {string} name - Skill name
+   * @param {string} installerId - Recipe id (default: the first usable one)
+   * @param {Object} origin - { sessionId, channel, userId } of the run that asked
+   * @returns {Object} - The pending request
+   * @throws {Error} - Unknown skill, nothing to install, or no usable recipe
+   */
+  request(name, installerId, origin = {}) {
+    const { skill, installer } = this._resolve(name, installerId);
+    if (skill.available && !skill.unavailableReason) {
+      throw new Error(`${name} is already set up`);
+    }
+
+    for (const request of this.requests.values()) {
+      if (request.skill === name && request.installer.id === installer.id) return request;
+    }
+
+    const request = {
+      id: uuidv4().slice(0, 8),
+      skill: name,
+      installer,
+      sessionId: origin.sessionId || null,
+      createdAt: Date.now(),
+    };
+    this.requests.set(request.id, request);
+    console.log(`[skills] Install of ${name} requested: ${installer.command.join(" ")}`);
+
+    const { getMessageBus } = require("../bus/queue");
+    getMessageBus().publishOutbound({
+      channelType: "desktop",
+      userId: "desktop",
+      sessionId: request.sessionId || "default",
+      text: `ChatDock wants to run \`${installer.command.join(" ")}\` to set up the ${name} skill.`,
+      metadata: { kind: "skill_install", requestId: request.id, skill: name },
+    }).catch((err) => console.error("[skills] Failed to publish install request:", err.message));
+
+    return request;
+  }
+
+  /**
+   * Installs waiting for approval, oldest first
+   */
+  listRequests() {
+    return Array.from(this.requests.values());
+  }
+
+  /**
+   * Drop a pending request without installing
+   * @returns {boolean}
+   */
+  dismiss(requestId) {
+    return this.requests.delete(requestId);
+  }
+
+  /**
+   * Run an install recipe (the user's approval), then reload skills
+   * @param {string} name - Skill name
+   * @param {string} installerId - Recipe id (default: the first usable one)
+   * @param {Object} options - { requestId: the agent request being approved }
+   * @returns {Promise<Object>} - { success, command, exitCode, output, available, reason }
+   */
+  async install(name, installerId, { requestId } = {}) {
+    const request = requestId ? this.requests.get(requestId) : null;
+    const { installer } = this._resolve(name, installerId || request?.installer.id);
+    if (this.running.has(name)) {
+      throw new Error(`${name} is already being installed`);
+    }
+
+    this.running.add(name);
+    try {
+      console.log(`[skills] Installing ${name}: ${installer.command.join(" ")}`);
+      const run = await runCommand(installer.command);
+      if (requestId) this.requests.delete(requestId);
+
+      await this.agent.reloadSkills();
+      const skill = this.agent.skills.getSkill(name);
+      const result = {
+        success: run.exitCode === 0,
+        skill: name,
+        command: installer.command.join(" "),
+        exitCode: run.exitCode,
+        output: run.output,
+        available: Boolean(skill?.available),
+        reason: skill?.unavailableReason || null,
+      };
+
+      // Let the conversation that asked know how it went
+      const session = request?.sessionId && this.agent.sessions.get(request.sessionId);
+      if (session) {
+        session.addMessage("assistant", result.success && result.available
+          ? `✅ Installed the ${name} skill (\`${result.command}\`).`
+          : `❌ Installing the ${name} skill failed (\`${result.command}\`, exit code ${run.exitCode}).`);
+      }
+      return result;
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _resolve(name, installerId) {
+    const skill = this.agent.skills.getSkill(name);
+    if (!skill) throw new Error(`Skill not found: ${name}`);
+
+    const installers = getInstallers(skill);
+    if (installers.length === 0) throw new Error(`${name} has no install recipe`);
+
+    const installer = installerId
+      ? installers.find((i) => i.id === installerId)
+      : installers.find((i) => i.available) || installers[0];
+    if (!installer) throw new Error(`${name} has no install recipe "${installerId}"`);
+    if (!installer.available) throw new Error(`Can't install ${name} with ${installer.id}: ${installer.reason}`);
+    return { skill, installer };
+  }
+}
+
+/**
+ * Run a command without a shell, keeping the end of its output
+ * @private
+ */
+function runCommand(args) {
+  return new Promise((resolve) => {
+    let output = "";
+    const append = (chunk) => {
+      output = (output + chunk.toString()).slice(-MAX_OUTPUT);
+    };
+
+    const child = spawn(args[0], args.slice(1), { timeout: INSTALL_TIMEOUT_MS, stdio: ["ignore", "pipe", "pipe"] });
+    child.stdout.on("data", append);
+    child.stderr.on("data", append);
+    child.on("error", (err) => resolve({ exitCode: -1, output: `${output}\n${err.message}`.trim() }));
+    child.on("close", (code, signal) => {
+      resolve({ exitCode: code ?? -1, output: signal ? `${output}\nStopped (${signal})`.trim() : output.trim() });
+    });
+  });
+}
+
+module.exports = { SkillInstaller, getInstallers };
@@ -1,96 +1,341 @@
 /**
  * Skills Loader
  * Loads markdown-based skills (optional, loaded on demand)
+ *
+ * A skill may bundle executable tools in an index.js next to its SKILL.md
+ * (same shape as a tools/<category>/index.js module); ToolsLoader registers them.
+ *
+ * Skills are discovered in these directories; a skill with the same name in a
+ * later one replaces the earlier one:
+ *   1. bundled  - src/server/skills/
+ *   2. user     - ~/.chatdock/skills/
+ *   3. project  - settings.skills.paths, in the order listed
+ * While watching, changes in any of them reload the skills.
  */
 
 const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
 const path = require("path");
 const yaml = require("js-yaml");
+const { checkRequirements } = require("./requirements");
+const { getInstallers } = require("./installer");
+
+const WATCH_DEBOUNCE_MS = 500; // Editors write files in bursts
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][0-9a-z.-]+)?$/i;
+
+/**
+ * Split a SKILL.md into its YAML frontmatter and instructions
+ * @param {string} content - File content
+ * @returns {Object|null} - { frontmatter, markdown }, or null without frontmatter
+ * @throws {Error} - If the frontmatter is not valid YAML
+ */
+function parseSkillFile(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) return null;
+  return { frontmatter: yaml.load(match[1]) || {}, markdown: match[2].trim() };
+}
+
+/**
+ * Check SKILL.md frontmatter (or a skill package manifest) against the fields
+ * the loader understands. Fields may sit at the top level or under `metadata`;
+ * unknown fields are allowed.
+ * @param {Object} frontmatter
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateFrontmatter(frontmatter) {
+  if (!frontmatter || typeof frontmatter !== "object" || Array.isArray(frontmatter)) {
+    return ["frontmatter must be a YAML mapping"];
+  }
+  if (frontmatter.metadata !== undefined && (typeof frontmatter.metadata !== "object" || Array.isArray(frontmatter.metadata))) {
+    return ["metadata must be a mapping"];
+  }
+
+  const fields = { ...frontmatter, ...(frontmatter.metadata || {}) };
+  const problems = [];
+  const isString = (value) => typeof value === "string" && value.trim() !== "";
+  const isStringList = (value) => isString(value) || (Array.isArray(value) && value.every(isString));
+
+  if (fields.name !== undefined && !(isString(fields.name) && NAME_PATTERN.test(fields.name))) {
+    problems.push("name must be letters, digits, '.', '_' or '-'");
+  }
+  if (fields.description !== undefined && typeof fields.description !== "string") {
+    problems.push("description must be a string");
+  }
+  if (fields.version !== undefined && !(isString(fields.version) && VERSION_PATTERN.test(fields.version))) {
+    problems.push("version must look like 1.2.3");
+  }
+  if (fields.emoji !== undefined && typeof fields.emoji !== "string") {
+    problems.push("emoji must be a string");
+  }
+  for (const key of ["tags", "os"]) {
+    if (fields[key] !== undefined && !isStringList(fields[key])) problems.push(`${key} must be a list of strings`);
+  }
+
+  if (fields.requires !== undefined) {
+    if (!fields.requires || typeof fields.requires !== "object" || Array.isArray(fields.requires)) {
+      problems.push("requires must be a mapping");
+    } else {
+      for (const key of ["bins", "anyBins", "env"]) {
+        const value = fields.requires[key];
+        if (value !== undefined && !isStringList(value)) problems.push(`requires.${key} must be a list of strings`);
+      }
+      if (fields.requires.optional !== undefined && typeof fields.requires.optional !== "boolean") {
+        problems.push("requires.optional must be true or false");
+      }
+    }
+  }
+
+  if (fields.install !== undefined) {
+    if (!Array.isArray(fields.install)) {
+      problems.push("install must be a list of recipes");
+    } else {
+      fields.install.forEach((recipe, i) => {
+        if (!recipe || typeof recipe !== "object" || !isString(recipe.kind)) {
+          problems.push(`install[${i}] needs a kind (brew, apt, npm or pip)`);
+        }
+      });
+    }
+  }
+  return problems;
+}
 
 class SkillsLoader {
   constructor() {
     this.skills = new Map(); // skill_name -> metadata + content
+    this.disabled = new Set(); // skill names switched off in settings.skills.disabled
+    this.options = {}; // { userDataPath, paths } of the last load
+    this.watchers = [];
+    this.onChange = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Skill directories, lowest precedence first
+   * @returns {Array<{ dir: string, source: string }>}
+   */
+  getRoots() {
+    const { userDataPath, paths = [] } = this.options;
+    const roots = [{ dir: __dirname, source: "bundled" }];
+    if (userDataPath) {
+      roots.push({ dir: path.join(userDataPath, "skills"), source: "user" });
+    }
+    for (const dir of paths) {
+      roots.push({ dir: path.resolve(String(dir).replace(/^~(?=$|[\\/])/, os.homedir())), source: "project" });
+    }
+    return roots;
   }
 
   /**
    * Load all skills from SKILL.md files
+   * @param {Object} options - { userDataPath, paths: extra project skill directories }
    */
-  async loadSkills() {
+  async loadSkills(options = this.options) {
+    this.options = options;
+    const skills = new Map();
+
     try {
-      const skillsDir = __dirname;
-      const entries = await fs.readdir(skillsDir, { withFileTypes: true });
+      for (const { dir, source } of this.getRoots()) {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            console.warn(`[skills-loader] Can't read skills directory ${dir}:`, error.message);
+          }
+          continue;
+        }
 
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const skillName = entry.name;
-          const skillPath = path.join(skillsDir, skillName);
+        for (const entry of entries) {
+          if (!entry.isDirectory()) continue;
 
           try {
-            await this.loadSkill(skillName, skillPath);
+            const skill = await this.loadSkill(entry.name, path.join(dir, entry.name), source);
+            if (!skill) continue;
+
+            const existing = skills.get(skill.name);
+            if (existing) {
+              skill.overrides = existing.source;
+              console.log(`[skills-loader] ${source} skill '${skill.name}' replaces the ${existing.source} one`);
+            }
+            skills.set(skill.name, skill);
           } catch (error) {
             console.warn(
-              `[skills-loader] Failed to load skill ${skillName}:`,
+              `[skills-loader] Failed to load skill ${entry.name}:`,
               error.message
             );
           }
         }
       }
 
+      // Swap in one go so a reload never leaves the agent without skills
+      this.skills = skills;
       console.log(`[skills-loader] Loaded ${this.skills.size} skills`);
+      if (this.onChange) this._watchRoots();
     } catch (error) {
       console.error("[skills-loader] Failed to load skills:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Load the skills again from the same directories
+   */
+  reload() {
+    return this.loadSkills(this.options);
+  }
+
+  /**
+   * Reload when anything in a skills directory changes
+   * @param {Function} onChange - Called (debounced) after files changed; should reload
+   */
+  watch(onChange) {
+    this.onChange = onChange;
+    this._watchRoots();
+  }
+
+  unwatch() {
+    this.onChange = null;
+    clearTimeout(this.reloadTimer);
+    this._closeWatchers();
+  }
+
+  /**
+   * @private
+   */
+  _watchRoots() {
+    this._closeWatchers();
+    for (const { dir, source } of this.getRoots()) {
+      try {
+        // The user directory is created so skills written later are noticed
+        if (source === "user") fsSync.mkdirSync(dir, { recursive: true });
+        if (!fsSync.existsSync(dir)) continue;
+
+        const watcher = fsSync.watch(dir, { recursive: true }, (_event, filename) => {
+          if (source === "bundled" && filename === path.basename(__filename)) return;
+          clearTimeout(this.reloadTimer);
+          this.reloadTimer = setTimeout(() => this.onChange?.(), WATCH_DEBOUNCE_MS);
+        });
+        watcher.on("error", (error) => console.warn(`[skills-loader] Stopped watching ${dir}:`, error.message));
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        console.warn(`[skills-loader] Can't watch ${dir}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _closeWatchers() {
+    for (const watcher of this.watchers) watcher.close();
+    this.watchers = [];
+  }
+
   /**
    * Load a single skill from SKILL.md
+   * @returns {Promise<Object|null>} - The skill, or null if the directory holds none
    */
-  async loadSkill(skillName, skillPath) {
+  async loadSkill(skillName, skillPath, source = "bundled") {
     const skillFile = path.join(skillPath, "SKILL.md");
 
     try {
       await fs.access(skillFile);
     } catch {
-      // Check for index.js (legacy tool-based skill)
-      const indexPath = path.join(skillPath, "index.js");
-      try {
-        await fs.access(indexPath);
-        // This is a legacy tool-based skill, skip it
-        return;
-      } catch {
-        return; // Skip if no SKILL.md or index.js
-      }
+      return null; // Not a skill directory
     }
 
     const content = await fs.readFile(skillFile, "utf-8");
 
     // Parse frontmatter
-    const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-    if (!frontmatterMatch) {
+    const parsed = parseSkillFile(content);
+    if (!parsed) {
       console.warn(`[skills-loader] ${skillName}: No frontmatter found`);
-      return;
+      return null;
     }
 
-    const frontmatter = yaml.load(frontmatterMatch[1]);
-    const markdown = frontmatterMatch[2].trim();
+    const { frontmatter, markdown } = parsed;
+    const problems = validateFrontmatter(frontmatter);
+    if (problems.length > 0) {
+      console.warn(`[skills-loader] ${skillName}: Invalid frontmatter: ${problems.join("; ")}`);
+    }
 
-    this.skills.set(skillName, {
-      name: frontmatter.name || skillName,
+    const indexPath = path.join(skillPath, "index.js");
+    const hasTools = await fs.access(indexPath).then(() => true, () => false);
+
+    // requires/os/install/emoji may sit at the top level or under metadata
+    const metadata = { ...frontmatter, ...(frontmatter.metadata || {}) };
+    delete metadata.metadata;
+    const requirements = checkRequirements({ requires: metadata.requires || {}, os: metadata.os });
+
+    const name = frontmatter.name || skillName;
+    console.log(`[skills-loader] Loaded skill '${name}' (${source})${requirements.available ? "" : `, unavailable: ${requirements.reason}`}`);
+    return {
+      name,
       description: frontmatter.description || "",
-      metadata: frontmatter.metadata || {},
+      version: metadata.version || null,
+      metadata,
       content: markdown,
       path: skillFile,
-    });
-
-    console.log(`[skills-loader] Loaded skill '${frontmatter.name || skillName}'`);
+      toolsPath: hasTools ? indexPath : null,
+      source,
+      overrides: null,
+      install: Array.isArray(metadata.install) ? metadata.install : [],
+      available: requirements.available,
+      unavailableReason: requirements.available ? null : requirements.reason,
+      missing: requirements.missing,
+    };
   }
 
   /**
    * Get all skills
+   * @param {Object} options - { includeDisabled }
+   */
+  getAllSkills({ includeDisabled = false } = {}) {
+    const skills = Array.from(this.skills.values());
+    return includeDisabled ? skills : skills.filter((skill) => this.isEnabled(skill.name));
+  }
+
+  /**
+   * Replace the set of disabled skills
+   * @param {Array<string>} names
+   */
+  setDisabled(names = []) {
+    this.disabled = new Set(names);
+  }
+
+  isEnabled(name) {
+    return !this.disabled.has(name);
+  }
+
+  /**
+   * Enabled and its requirements (programs, OS, env vars) are met
+   */
+  isUsable(name) {
+    return this.isEnabled(name) && this.skills.get(name)?.available !== false;
+  }
+
+  /**
+   * Skills with where they came from, for introspection (GET /skills)
+   * @returns {Array}
    */
-  getAllSkills() {
-    return Array.from(this.skills.values());
+  describeSkills() {
+    return this.getAllSkills({ includeDisabled: true }).map((skill) => ({
+      name: skill.name,
+      description: skill.description,
+      emoji: skill.metadata?.emoji || null,
+      version: skill.version,
+      source: skill.source,
+      overrides: skill.overrides,
+      path: skill.path,
+      hasTools: Boolean(skill.toolsPath),
+      enabled: this.isEnabled(skill.name),
+      available: skill.available,
+      reason: skill.unavailableReason,
+      installers: getInstallers(skill),
+    }));
   }
 
   /**
@@ -101,17 +346,28 @@ class SkillsLoader {
   }
 
   /**
-   * Build a summary of available skills
+   * Build a short list of available skills for the system prompt
+   * Instructions aren't included; the agent loads them with use_skill.
    */
   buildSkillsSummary() {
     const skills = this.getAllSkills();
-    if (skills.length === 0) return "";
+    const usable = skills.filter((skill) => skill.available);
+    // Skills that can't run here are only mentioned if they can be installed
+    const installable = skills.filter((skill) => !skill.available && getInstallers(skill).some((i) => i.available));
+    if (usable.length === 0 && installable.length === 0) return "";
 
     const lines = ["Available Skills:", ""];
-    for (const skill of skills) {
+    for (const skill of usable) {
       const emoji = skill.metadata?.emoji || "📄";
-      lines.push(`${emoji} **${skill.name}**: ${skill.description}`);
-      lines.push(`   Path: ${skill.path}`);
+      lines.push(`${emoji} **${skill.name}**: ${skill.description}${skill.toolsPath ? " (tools built in)" : ""}`);
+    }
+    lines.push("");
+
+    if (installable.length > 0) {
+      lines.push("Not set up on this machine (offer to install them with install_skill; the user must approve):");
+      for (const skill of installable) {
+        lines.push(`- **${skill.name}**: ${skill.description} (${skill.unavailableReason})`);
+      }
       lines.push("");
     }
 
@@ -126,4 +382,4 @@ function getSkillsLoader() {
   return instance;
 }
 
-module.exports = { SkillsLoader, getSkillsLoader };
+module.exports = { SkillsLoader, getSkillsLoader, parseSkillFile, validateFrontmatter };
@@ -0,0 +1,124 @@
+/**
+ * Skill Matcher
+ * Suggests skills that look relevant to a user message, so the agent can load
+ * them with use_skill instead of reading every SKILL.md up front.
+ *
+ * Skills are scored by keyword overlap with their name, tags and description.
+ * When `skills.suggestEmbeddings` is enabled, the message and each skill's
+ * description are also embedded through Ollama (search.embeddingModel; skill
+ * vectors are kept in memory) and both scores are blended using
+ * search.semanticWeight.
+ */
+
+const crypto = require("crypto");
+const { tokenize, cosine, SEARCH_DEFAULTS } = require("../search/history-index");
+
+// Weight of a query term found in each part of a skill
+const FIELD_WEIGHTS = { name: 3, tags: 2, description: 1 };
+const KEYWORD_SATURATION = 4; // Keyword score at which relevance reaches 1
+const MIN_RELEVANCE = 0.5; // e.g. a name match, or two description words
+
+const SKILLS_DEFAULTS = {
+  suggest: true, // Point the agent at skills that match the user's message
+  maxSuggestions: 2,
+  suggestEmbeddings: false, // Blend in semantic similarity (needs an Ollama embedding model)
+};
+
+/**
+ * Whether a query term matches a skill term ("forecasts" matches "forecast")
+ * @private
+ */
+function termMatches(term, skillTerm) {
+  if (term === skillTerm) return true;
+  if (term.length < 4 || skillTerm.length < 4) return false;
+  return term.startsWith(skillTerm) || skillTerm.startsWith(term);
+}
+
+class SkillMatcher {
+  /**
+   * @param {SkillsLoader} skillsLoader
+   * @param {HistoryIndex} searchIndex - Provides the Ollama embedding call
+   */
+  constructor(skillsLoader, searchIndex = null) {
+    this.skillsLoader = skillsLoader;
+    this.searchIndex = searchIndex;
+    this.vectors = new Map(); // sha1(model + skill text) -> embedding
+  }
+
+  /**
+   * Skills relevant to a message, best first
+   * @param {string} query - The user's message
+   * @param {Object} options
+   * @param {Object} options.settings - Loaded settings (skills and search sections)
+   * @param {Iterable<string>} options.exclude - Skill names to leave out (already active)
+   * @returns {Promise<Array>} - [{ name, description, score }]
+   */
+  async suggest(query, { settings = {}, exclude = [] } = {}) {
+    const config = { ...SKILLS_DEFAULTS, ...settings.skills };
+    if (!config.suggest || !query) return [];
+
+    const excluded = new Set(exclude);
+    const skills = this.skillsLoader.getAllSkills().filter((skill) => skill.available && !excluded.has(skill.name));
+    if (skills.length === 0) return [];
+
+    const terms = [...new Set(tokenize(query))];
+    const scores = new Map(skills.map((skill) => [skill.name, Math.min(1, this._keywordScore(terms, skill) / KEYWORD_SATURATION)]));
+
+    if (config.suggestEmbeddings && this.searchIndex) {
+      const search = { ...SEARCH_DEFAULTS, ...settings.search };
+      try {
+        const semantic = await this._semanticScores(query, skills, search.embeddingModel);
+        for (const skill of skills) {
+          const keyword = scores.get(skill.name);
+          scores.set(skill.name, keyword * (1 - search.semanticWeight) + semantic.get(skill.name) * search.semanticWeight);
+        }
+      } catch (error) {
+        console.warn("[skills] Semantic skill matching failed, using keywords only:", error.message);
+      }
+    }
+
+    return skills
+      .map((skill) => ({ name: skill.name, description: skill.description, score: scores.get(skill.name) }))
+      .filter((match) => match.score >= MIN_RELEVANCE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, config.maxSuggestions);
+  }
+
+  /**
+   * @private
+   */
+  _keywordScore(terms, skill) {
+    const fields = {
+      name: tokenize(skill.name.replace(/[-_]/g, " ")),
+      tags: (Array.isArray(skill.metadata?.tags) ? skill.metadata.tags : []).flatMap((tag) => tokenize(tag)),
+      description: tokenize(skill.description),
+    };
+
+    let score = 0;
+    for (const term of terms) {
+      // Each query term counts once, for the best field it appears in
+      const field = Object.keys(FIELD_WEIGHTS).find((key) => fields[key].some((skillTerm) => termMatches(term, skillTerm)));
+      if (field) score += FIELD_WEIGHTS[field];
+    }
+    return score;
+  }
+
+  /**
+   * @private
+   */
+  async _semanticScores(query, skills, model) {
+    const textOf = (skill) => `${skill.name}: ${skill.description}`;
+    const keyOf = (skill) => crypto.createHash("sha1").update(`${model}\n${textOf(skill)}`).digest("hex");
+
+    const missing = skills.filter((skill) => !this.vectors.has(keyOf(skill)));
+    if (missing.length > 0) {
+      const vectors = await this.searchIndex.embed(missing.map(textOf), model);
+      missing.forEach((skill, i) => this.vectors.set(keyOf(skill), vectors[i]));
+    }
+
+    const [queryVector] = await this.searchIndex.embed([query], model);
+    return new Map(skills.map((skill) => [skill.name, Math.max(0, cosine(queryVector, this.vectors.get(keyOf(skill))))]));
+  }
+}
+
+module.exports = { SkillMatcher, SKILLS_DEFAULTS };
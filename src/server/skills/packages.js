@@ -0,0 +1,457 @@
+/**
+ * Skill Packages
+ * Installs skills shared as a single file (a .tgz/.tar.gz/.tar or .zip archive)
+ * into ~/.chatdock/skills and records them in ~/.chatdock/skills.lock.json.
+ *
+ * A package holds the skill directory (SKILL.md, an optional index.js with
+ * tools, any other files) plus a skill.json manifest, either at the top level
+ * or inside a single folder:
+ *
+ *   {
+ *     "name": "deploy",
+ *     "version": "1.2.0",
+ *     "description": "Deploy our services",
+ *     "requires": { "bins": ["kubectl"] },
+ *     "tools": ["deploy_service"],
+ *     "checksum": "sha256:..."   // of every file except skill.json (see computeChecksum)
+ *   }
+ *
+ * The manifest is checked with the same rules as SKILL.md frontmatter
+ * (validateFrontmatter) and must agree with the packaged SKILL.md.
+ * `chatdock skill pack <dir>` builds a package from a skill directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { parseSkillFile, validateFrontmatter } = require("./loader");
+const { findBinary } = require("./requirements");
+const { withFileLock, writeFileAtomic } = require("../utils/file-store");
+
+const execFileAsync = promisify(execFile);
+
+const MANIFEST_FILE = "skill.json";
+const LOCK_FILE = "skills.lock.json";
+const CHECKSUM_PATTERN = /^sha256:[0-9a-f]{64}$/;
+const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+const ARCHIVE_TIMEOUT_MS = 60 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Checksum of a skill directory: sha256 over the path and sha256 of every
+ * file, sorted by path. skill.json itself is left out.
+ * @param {string} dir
+ * @returns {string} - "sha256:<hex>"
+ * @throws {Error} - If the directory contains links (packages can't point outside themselves)
+ */
+function computeChecksum(dir) {
+  const files = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const full = path.join(current, entry.name);
+      const relative = path.relative(dir, full).split(path.sep).join("/");
+      if (entry.isSymbolicLink()) throw new Error(`Skill packages can't contain links: ${relative}`);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile() && relative !== MANIFEST_FILE) files.push(relative);
+    }
+  };
+  walk(dir);
+
+  const hash = crypto.createHash("sha256");
+  for (const relative of files.sort()) {
+    const fileHash = crypto.createHash("sha256").update(fs.readFileSync(path.join(dir, relative))).digest("hex");
+    hash.update(`${relative}\0${fileHash}\n`);
+  }
+  return `sha256:${hash.digest("hex")}`;
+}
+
+/**
+ * Check a package manifest
+ * @param {Object} manifest - Parsed skill.json
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    return [`${MANIFEST_FILE} must be a JSON object`];
+  }
+
+  const { tools, checksum, ...frontmatter } = manifest;
+  const problems = validateFrontmatter(frontmatter);
+  if (!manifest.name) problems.push("name is required");
+  if (!manifest.version) problems.push("version is required");
+  if (typeof checksum !== "string" || !CHECKSUM_PATTERN.test(checksum)) {
+    problems.push("checksum must be sha256:<64 hex digits>");
+  }
+  if (tools !== undefined && !(Array.isArray(tools) && tools.every((tool) => typeof tool === "string" && tool))) {
+    problems.push("tools must be a list of tool names");
+  }
+  return problems;
+}
+
+/**
+ * Compare two x.y.z versions
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const parts = (version) => String(version).split(/[-+]/)[0].split(".").map(Number);
+  const [left, right] = [parts(a), parts(b)];
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return (left[i] || 0) - (right[i] || 0);
+  }
+  return 0;
+}
+
+class SkillPackages {
+  /**
+   * @param {string} userDataPath - ~/.chatdock
+   */
+  constructor(userDataPath) {
+    this.userDataPath = userDataPath;
+    this.skillsDir = path.join(userDataPath, "skills");
+    this.lockPath = path.join(userDataPath, LOCK_FILE);
+    // Packages are unpacked next to the skills directory so they can be moved in with a rename
+    this.stagingDir = path.join(userDataPath, ".skill-staging");
+  }
+
+  /**
+   * Skills installed from packages
+   * @returns {Array} - [{ name, version, source, checksum, installedAt, updatedAt, present, modified }]
+   */
+  list() {
+    return Object.entries(this._readLock().skills).map(([name, entry]) => {
+      const dir = path.join(this.skillsDir, name);
+      const present = fs.existsSync(path.join(dir, "SKILL.md"));
+      let modified = false;
+      if (present) {
+        try {
+          modified = computeChecksum(dir) !== entry.checksum;
+        } catch {
+          modified = true;
+        }
+      }
+      return { name, ...entry, present, modified };
+    });
+  }
+
+  /**
+   * Install a skill package
+   * @param {string} source - Path or http(s) URL of the package
+   * @param {Object} options - { force: replace a skill that wasn't installed from a package, or the same version }
+   * @returns {Promise<Object>} - { name, version, previous, path }
+   */
+  async install(source, { force = false } = {}) {
+    return this._withPackage(source, async (root, manifest) => {
+      const locked = this._readLock().skills[manifest.name];
+      const target = path.join(this.skillsDir, manifest.name);
+
+      if (!locked && fs.existsSync(target) && !force) {
+        throw new Error(`${target} already exists and wasn't installed from a package (use --force to replace it)`);
+      }
+      if (locked && locked.version === manifest.version && locked.checksum === manifest.checksum && !force) {
+        throw new Error(`${manifest.name} ${manifest.version} is already installed`);
+      }
+
+      this._place(root, target);
+      this._record(manifest, this._sourceOf(source), locked);
+      return { name: manifest.name, version: manifest.version, previous: locked?.version || null, path: target };
+    });
+  }
+
+  /**
+   * Re-fetch installed packages from where they were installed from
+   * @param {string} name - Only this skill (default: all)
+   * @param {Object} options - { force: reinstall even if the version didn't change }
+   * @returns {Promise<Array>} - [{ name, from, to, status: "updated" | "current" | "failed", error }]
+   */
+  async update(name, { force = false } = {}) {
+    const skills = this._readLock().skills;
+    if (name && !skills[name]) throw new Error(`${name} wasn't installed from a package`);
+
+    const results = [];
+    for (const [skillName, locked] of Object.entries(skills)) {
+      if (name && skillName !== name) continue;
+      try {
+        const result = await this._withPackage(locked.source, async (root, manifest) => {
+          if (manifest.name !== skillName) {
+            throw new Error(`${locked.source} now contains ${manifest.name}, not ${skillName}`);
+          }
+          const newer = compareVersions(manifest.version, locked.version);
+          const changed = newer > 0 || (newer === 0 && manifest.checksum !== locked.checksum);
+          if (!force && (!changed || newer < 0)) {
+            return { name: skillName, from: locked.version, to: manifest.version, status: "current", error: null };
+          }
+
+          this._place(root, path.join(this.skillsDir, skillName));
+          this._record(manifest, locked.source, locked);
+          return { name: skillName, from: locked.version, to: manifest.version, status: "updated", error: null };
+        });
+        results.push(result);
+      } catch (error) {
+        results.push({ name: skillName, from: locked.version, to: null, status: "failed", error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Remove a skill installed from a package
+   * @param {string} name
+   * @returns {Object} - The lockfile entry that was removed
+   */
+  remove(name) {
+    const locked = this._readLock().skills[name];
+    if (!locked) throw new Error(`${name} wasn't installed from a package`);
+
+    fs.rmSync(path.join(this.skillsDir, name), { recursive: true, force: true });
+    this._updateLock((lock) => {
+      delete lock.skills[name];
+    });
+    return { name, ...locked };
+  }
+
+  /**
+   * Build a package from a skill directory
+   * The version comes from the SKILL.md frontmatter (`version: 1.0.0`).
+   * @param {string} dir - Skill directory (with SKILL.md)
+   * @param {Object} options - { out: package path (default: ./<name>-<version>.tgz) }
+   * @returns {Promise<Object>} - { file, manifest }
+   */
+  async pack(dir, { out } = {}) {
+    const skillDir = path.resolve(dir);
+    const skillFile = path.join(skillDir, "SKILL.md");
+    if (!fs.existsSync(skillFile)) throw new Error(`No SKILL.md in ${skillDir}`);
+
+    const parsed = parseSkillFile(fs.readFileSync(skillFile, "utf-8"));
+    if (!parsed) throw new Error("SKILL.md has no frontmatter");
+    const problems = validateFrontmatter(parsed.frontmatter);
+    if (problems.length > 0) throw new Error(`Invalid SKILL.md frontmatter: ${problems.join("; ")}`);
+
+    const fields = { ...parsed.frontmatter, ...(parsed.frontmatter.metadata || {}) };
+    if (!fields.version) throw new Error("Add a version (e.g. version: 1.0.0) to the SKILL.md frontmatter");
+
+    const indexPath = path.join(skillDir, "index.js");
+    const tools = fs.existsSync(indexPath)
+      ? (require(indexPath).tools || []).map((tool) => tool.function?.name).filter(Boolean)
+      : [];
+
+    const manifest = {
+      name: fields.name || path.basename(skillDir),
+      version: String(fields.version),
+      description: fields.description || "",
+      ...(fields.requires ? { requires: fields.requires } : {}),
+      ...(fields.os ? { os: fields.os } : {}),
+      tools,
+      checksum: computeChecksum(skillDir),
+    };
+
+    const file = path.resolve(out || `${manifest.name}-${manifest.version}.tgz`);
+    fs.mkdirSync(this.stagingDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(this.stagingDir, "pack-"));
+    try {
+      const root = path.join(workDir, manifest.name);
+      fs.cpSync(skillDir, root, { recursive: true, filter: (src) => src !== path.join(skillDir, MANIFEST_FILE) });
+      fs.writeFileSync(path.join(root, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+      await execFileAsync("tar", ["-czf", file, "-C", workDir, manifest.name], { timeout: ARCHIVE_TIMEOUT_MS });
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+    return { file, manifest };
+  }
+
+  /**
+   * Fetch and unpack a package, check it, and hand its root to fn
+   * @private
+   */
+  async _withPackage(source, fn) {
+    fs.mkdirSync(this.stagingDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(this.stagingDir, "install-"));
+    try {
+      const archive = await this._fetch(source, workDir);
+      const unpacked = path.join(workDir, "package");
+      fs.mkdirSync(unpacked);
+      await this._extract(archive, unpacked);
+
+      const root = this._findRoot(unpacked);
+      const manifest = this._checkPackage(root);
+      return await fn(root, manifest);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _fetch(source, workDir) {
+    if (!/^https?:\/\//i.test(source)) {
+      const file = path.resolve(source);
+      if (!fs.existsSync(file)) throw new Error(`Package not found: ${file}`);
+      return file;
+    }
+
+    const response = await fetch(source, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+    if (Number(response.headers.get("content-length")) > MAX_DOWNLOAD_BYTES) {
+      await response.body?.cancel();
+      throw new Error("Package is too large");
+    }
+
+    // The length header is optional (and may lie), so count while reading and stop past the limit
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      if (size > MAX_DOWNLOAD_BYTES) throw new Error("Package is too large");
+      chunks.push(chunk);
+    }
+
+    const file = path.join(workDir, "download");
+    fs.writeFileSync(file, Buffer.concat(chunks));
+    return file;
+  }
+
+  /**
+   * Unpack with the system's tar (or unzip for .zip when it's there; bsdtar reads zip too)
+   * @private
+   */
+  async _extract(archive, dir) {
+    const header = Buffer.alloc(4);
+    const fd = fs.openSync(archive, "r");
+    try {
+      fs.readSync(fd, header, 0, 4, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const isZip = header.toString("binary") === "PK\x03\x04";
+    const [command, args] = isZip && findBinary("unzip")
+      ? ["unzip", ["-q", archive, "-d", dir]]
+      : ["tar", ["-xf", archive, "-C", dir]];
+    try {
+      await execFileAsync(command, args, { timeout: ARCHIVE_TIMEOUT_MS });
+    } catch (error) {
+      throw new Error(`Can't unpack ${path.basename(archive)}: ${(error.stderr || error.message).trim()}`);
+    }
+  }
+
+  /**
+   * The directory holding skill.json: the archive's top level or its only folder
+   * @private
+   */
+  _findRoot(dir) {
+    if (fs.existsSync(path.join(dir, MANIFEST_FILE))) return dir;
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    if (entries.length === 1 && entries[0].isDirectory() && fs.existsSync(path.join(dir, entries[0].name, MANIFEST_FILE))) {
+      return path.join(dir, entries[0].name);
+    }
+    throw new Error(`Not a skill package: no ${MANIFEST_FILE} found`);
+  }
+
+  /**
+   * Validate the manifest, the SKILL.md it ships and the checksum
+   * @private
+   */
+  _checkPackage(root) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(root, MANIFEST_FILE), "utf-8"));
+    } catch (error) {
+      throw new Error(`Invalid ${MANIFEST_FILE}: ${error.message}`);
+    }
+
+    const problems = validateManifest(manifest);
+    if (problems.length > 0) throw new Error(`Invalid ${MANIFEST_FILE}: ${problems.join("; ")}`);
+
+    const skillFile = path.join(root, "SKILL.md");
+    if (!fs.existsSync(skillFile)) throw new Error("The package has no SKILL.md");
+    const parsed = parseSkillFile(fs.readFileSync(skillFile, "utf-8"));
+    if (!parsed) throw new Error("The packaged SKILL.md has no frontmatter");
+    const skillProblems = validateFrontmatter(parsed.frontmatter);
+    if (skillProblems.length > 0) throw new Error(`Invalid SKILL.md frontmatter: ${skillProblems.join("; ")}`);
+    if (parsed.frontmatter.name && parsed.frontmatter.name !== manifest.name) {
+      throw new Error(`${MANIFEST_FILE} names ${manifest.name} but SKILL.md names ${parsed.frontmatter.name}`);
+    }
+
+    const hasTools = fs.existsSync(path.join(root, "index.js"));
+    if ((manifest.tools || []).length > 0 && !hasTools) {
+      throw new Error(`${MANIFEST_FILE} lists tools but the package has no index.js`);
+    }
+
+    const checksum = computeChecksum(root);
+    if (checksum !== manifest.checksum) {
+      throw new Error("Checksum mismatch: the package contents don't match its manifest");
+    }
+    return manifest;
+  }
+
+  /**
+   * Move an unpacked skill into place, replacing the installed copy
+   * @private
+   */
+  _place(root, target) {
+    fs.mkdirSync(this.skillsDir, { recursive: true });
+    const previous = `${root}.previous`;
+    if (fs.existsSync(target)) fs.renameSync(target, previous);
+    try {
+      fs.renameSync(root, target);
+    } catch (error) {
+      if (fs.existsSync(previous)) fs.renameSync(previous, target);
+      throw error;
+    }
+    fs.rmSync(previous, { recursive: true, force: true });
+  }
+
+  /**
+   * @private
+   */
+  _record(manifest, source, locked) {
+    const now = new Date().toISOString();
+    this._updateLock((lock) => {
+      lock.skills[manifest.name] = {
+        version: manifest.version,
+        source,
+        checksum: manifest.checksum,
+        tools: manifest.tools || [],
+        installedAt: locked?.installedAt || now,
+        updatedAt: now,
+      };
+    });
+  }
+
+  /**
+   * Where update() fetches from later: URLs as given, files as absolute paths
+   * @private
+   */
+  _sourceOf(source) {
+    return /^https?:\/\//i.test(source) ? source : path.resolve(source);
+  }
+
+  /**
+   * @private
+   */
+  _readLock() {
+    try {
+      const lock = JSON.parse(fs.readFileSync(this.lockPath, "utf-8"));
+      return { version: 1, ...lock, skills: lock.skills || {} };
+    } catch (error) {
+      if (error.code !== "ENOENT") console.warn(`[skills] Can't read ${this.lockPath}:`, error.message);
+      return { version: 1, skills: {} };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _updateLock(fn) {
+    fs.mkdirSync(this.userDataPath, { recursive: true });
+    withFileLock(`${this.lockPath}.lock`, () => {
+      const lock = this._readLock();
+      fn(lock);
+      writeFileAtomic(this.lockPath, JSON.stringify(lock, null, 2));
+    });
+  }
+}
+
+module.exports = { SkillPackages, computeChecksum, validateManifest, compareVersions };
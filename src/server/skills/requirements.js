@@ -0,0 +1,84 @@
+/**
+ * Skill Requirements
+ * Checks what a SKILL.md declares against this machine:
+ *
+ *   requires:
+ *     bins: ["tmux"]          # all of these must be on PATH
+ *     anyBins: ["rg", "grep"] # at least one of these must be on PATH
+ *     env: ["GITHUB_TOKEN"]   # these environment variables must be set
+ *     optional: true          # missing requirements are reported but don't block the skill
+ *   os: ["darwin", "linux"]   # process.platform values the skill runs on
+ *
+ * The same keys are accepted under `metadata:`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Find an executable on PATH
+ * @param {string} name - Binary name
+ * @returns {string|null} - Full path, or null if not found
+ */
+function findBinary(name) {
+  const dirs = (process.env.PATH || "").split(path.delimiter).filter(Boolean);
+  const extensions = process.platform === "win32"
+    ? ["", ...(process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";")]
+    : [""];
+
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, name + ext);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) return candidate;
+      } catch {
+        // Not here
+      }
+    }
+  }
+  return null;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+/**
+ * Check a skill's declared requirements
+ * @param {Object} declared - { requires, os } from the frontmatter
+ * @returns {Object} - { available, reason, missing: { bins, anyBins, env, os } }
+ */
+function checkRequirements({ requires = {}, os = [] } = {}) {
+  const missing = {
+    bins: toList(requires.bins).filter((bin) => !findBinary(bin)),
+    anyBins: [],
+    env: toList(requires.env).filter((name) => !process.env[name]),
+    os: null,
+  };
+
+  const anyBins = toList(requires.anyBins);
+  if (anyBins.length > 0 && !anyBins.some((bin) => findBinary(bin))) {
+    missing.anyBins = anyBins;
+  }
+
+  const platforms = toList(os);
+  if (platforms.length > 0 && !platforms.includes(process.platform)) {
+    missing.os = platforms;
+  }
+
+  const reasons = [];
+  if (missing.os) reasons.push(`only runs on ${missing.os.join(", ")} (this is ${process.platform})`);
+  if (missing.bins.length > 0) reasons.push(`missing program${missing.bins.length > 1 ? "s" : ""}: ${missing.bins.join(", ")}`);
+  if (missing.anyBins.length > 0) reasons.push(`needs one of: ${missing.anyBins.join(", ")}`);
+  if (missing.env.length > 0) reasons.push(`missing environment variable${missing.env.length > 1 ? "s" : ""}: ${missing.env.join(", ")}`);
+
+  return {
+    available: reasons.length === 0 || requires.optional === true,
+    reason: reasons.length > 0 ? reasons.join("; ") : null,
+    missing,
+  };
+}
+
+module.exports = { checkRequirements, findBinary };
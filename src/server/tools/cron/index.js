@@ -269,5 +269,6 @@ module.exports = {
   executors,
   metadata: {
     tags: ["scheduler", "reminders", "cron", "tasks"],
+    serialized: ["schedule_reminder", "cancel_reminder"],
   },
 };
@@ -485,5 +485,7 @@ module.exports = {
   metadata: {
     specialists: ["file"], // Which specialists can use this plugin
     tags: ["filesystem", "files", "io"],
+    // Mutating tools run one at a time, in the order the model asked for them
+    serialized: ["write_file", "edit_file", "move_file", "delete_file", "create_directory"],
   },
 };
@@ -0,0 +1,86 @@
+/**
+ * History Tools
+ * Lets the agent search past conversations, including earlier tool calls and results
+ */
+
+// Tool definitions
+const tools = [
+  {
+    type: "function",
+    function: {
+      name: "search_history",
+      description: "Search all past conversations (messages, commands run, files read, tool results). Use it to find things discussed or done in earlier sessions.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "What to look for, e.g. 'docker compose command' or 'budget spreadsheet path'",
+          },
+          role: {
+            type: "string",
+            enum: ["user", "assistant", "tool"],
+            description: "Only match messages from this role (optional)",
+          },
+          current_session_only: {
+            type: "boolean",
+            description: "Only search the current conversation (default: false)",
+          },
+          limit: {
+            type: "number",
+            description: "Maximum number of results (default: 5)",
+          },
+        },
+        required: ["query"],
+      },
+    },
+  },
+];
+
+// Tool executors
+const executors = {
+  async search_history({ query, role, current_session_only = false, limit = 5, __context }) {
+    const searchIndex = __context?.searchIndex;
+    if (!searchIndex) {
+      return { success: false, error: "History search not available" };
+    }
+
+    try {
+      const { results, semantic } = await searchIndex.search(query, {
+        limit: Math.min(Math.max(Number(limit) || 5, 1), 20),
+        role,
+        sessionId: current_session_only ? __context.sessionId : undefined,
+      });
+
+      return {
+        success: true,
+        query,
+        semantic,
+        count: results.length,
+        results: results.map((r) => ({
+          session: r.sessionTitle || r.sessionId,
+          session_id: r.sessionId,
+          role: r.role,
+          tool: r.role === "tool" ? r.name : undefined,
+          timestamp: r.timestamp,
+          snippet: r.snippet,
+        })),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+// Plugin metadata
+module.exports = {
+  name: "History",
+  description: "Search past conversations and tool results",
+  version: "1.0.0",
+  category: "history",
+  tools,
+  executors,
+  metadata: {
+    tags: ["history", "search", "sessions"],
+  },
+};
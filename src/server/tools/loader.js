@@ -1,6 +1,8 @@
 /**
  * Tools Loader
- * Loads built-in tools (always available)
+ * Loads built-in tools (always available) and tools bundled with skills
+ * (skills/<name>/index.js), which register under the category "skill:<name>"
+ * and can be switched off per skill
  */
 
 const fs = require("fs").promises;
@@ -11,6 +13,9 @@ class ToolsLoader {
     this.tools = new Map(); // tool_name -> definition
     this.executors = new Map(); // tool_name -> function
     this.categories = new Map(); // category -> [tool names]
+    this.serialized = new Set(); // tool names that must not run concurrently
+    this.modules = new Map(); // category -> { name, description, version, type, skill }
+    this.disabledCategories = new Set(); // categories whose tools are hidden and refused
   }
 
   /**
@@ -58,12 +63,46 @@ class ToolsLoader {
       return; // Skip if no index.js
     }
 
-    const tool = require(indexPath);
+    this.registerModule(categoryName, require(indexPath), { type: "builtin" });
+  }
+
+  /**
+   * Load the tools bundled with skills (skills that have an index.js),
+   * replacing any skill tools loaded before (hot reload)
+   * @param {SkillsLoader} skillsLoader
+   */
+  loadSkillTools(skillsLoader) {
+    for (const [category, info] of this.modules) {
+      if (info.type === "skill") this.unregisterCategory(category);
+    }
+
+    for (const skill of skillsLoader.getAllSkills({ includeDisabled: true })) {
+      if (!skill.toolsPath) continue;
 
+      try {
+        delete require.cache[require.resolve(skill.toolsPath)]; // Pick up edits on reload
+        this.registerModule(skillCategory(skill.name), require(skill.toolsPath), { type: "skill", skill: skill.name });
+        this.setCategoryEnabled(skillCategory(skill.name), skillsLoader.isUsable(skill.name));
+      } catch (error) {
+        console.warn(`[tools-loader] Failed to load tools of skill ${skill.name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Register the tools exported by a tool module
+   * @param {string} categoryName - Category (namespace) the tools are listed under
+   * @param {Object} tool - Module exports { name, description, version, tools, executors, metadata }
+   * @param {Object} source - { type: builtin|skill, skill }
+   */
+  registerModule(categoryName, tool, { type = "builtin", skill = null } = {}) {
     if (!tool || typeof tool !== "object") {
       throw new Error(`Tool ${categoryName} must export an object`);
     }
 
+    // Tools that mutate shared state declare themselves in metadata.serialized
+    const serialized = new Set(tool.metadata?.serialized || []);
+
     // Register tools
     const toolNames = [];
     if (tool.tools) {
@@ -72,15 +111,25 @@ class ToolsLoader {
 
         const toolName = toolDef.function.name;
 
+        // A skill can't replace a tool that is already registered elsewhere
+        const existing = this.tools.get(toolName);
+        if (existing && existing.__category !== categoryName) {
+          console.warn(`[tools-loader] Skipping ${toolName} from ${categoryName}: already provided by ${existing.__category}`);
+          continue;
+        }
+
         // Enrich tool definition
         const enrichedTool = {
           ...toolDef,
           __category: categoryName,
-          __type: "builtin",
+          __type: type,
         };
 
         this.tools.set(toolName, enrichedTool);
         toolNames.push(toolName);
+        if (serialized.has(toolName)) {
+          this.serialized.add(toolName);
+        }
 
         // Register executor
         if (tool.executors && tool.executors[toolName]) {
@@ -90,26 +139,110 @@ class ToolsLoader {
     }
 
     this.categories.set(categoryName, toolNames);
+    this.modules.set(categoryName, {
+      name: tool.name || categoryName,
+      description: tool.description || "",
+      version: tool.version || null,
+      type,
+      skill,
+    });
     console.log(`[tools-loader] Loaded tool '${categoryName}' with ${toolNames.length} functions`);
   }
 
+  /**
+   * Remove every tool of a category
+   * @param {string} categoryName
+   */
+  unregisterCategory(categoryName) {
+    for (const name of this.categories.get(categoryName) || []) {
+      this.tools.delete(name);
+      this.executors.delete(name);
+      this.serialized.delete(name);
+    }
+    this.categories.delete(categoryName);
+    this.modules.delete(categoryName);
+  }
+
+  /**
+   * Turn a category's tools on or off (used for per-skill enable/disable)
+   * @param {string} categoryName
+   * @param {boolean} enabled
+   */
+  setCategoryEnabled(categoryName, enabled) {
+    if (enabled) this.disabledCategories.delete(categoryName);
+    else this.disabledCategories.add(categoryName);
+  }
+
+  /**
+   * Tool categories with their source and state, for introspection (GET /tools)
+   * @returns {Array}
+   */
+  describeTools() {
+    return Array.from(this.categories, ([category, names]) => ({
+      category,
+      ...this.modules.get(category),
+      enabled: !this.disabledCategories.has(category),
+      tools: names.map((name) => ({
+        name,
+        description: this.tools.get(name)?.function.description || "",
+      })),
+    }));
+  }
+
+  /**
+   * Tools offered to the model (disabled skills left out)
+   */
   getAllTools() {
-    return Array.from(this.tools.values());
+    return Array.from(this.tools.values())
+      .filter((tool) => !this.disabledCategories.has(tool.__category));
+  }
+
+  /**
+   * Whether a tool must run on its own rather than alongside other calls
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  isSerialized(name) {
+    return this.serialized.has(name);
   }
 
   getExecutor(name) {
+    if (this.disabledCategories.has(this.tools.get(name)?.__category)) return undefined;
     return this.executors.get(name);
   }
 
   async executeTool(name, args, context = {}) {
     const executor = this.getExecutor(name);
     if (!executor) {
+      const category = this.tools.get(name)?.__category;
+      if (this.disabledCategories.has(category)) {
+        throw new Error(`Tool ${name} is disabled (${category})`);
+      }
       throw new Error(`No executor found for tool: ${name}`);
     }
     try {
+      // OpenAI-compatible providers send arguments as a JSON string
+      const parsedArgs = typeof args === "string" ? JSON.parse(args || "{}") : args;
+
       // Pass context as __context in args
-      const argsWithContext = { ...args, __context: context };
-      return await executor(argsWithContext);
+      const argsWithContext = { ...parsedArgs, __context: context };
+      const signal = context.signal;
+      if (!signal) {
+        return await executor(argsWithContext);
+      }
+
+      // Stop waiting on tools that ignore the signal once the run is cancelled
+      signal.throwIfAborted();
+      let onAbort;
+      const aborted = new Promise((_, reject) => {
+        onAbort = () => reject(signal.reason || new Error("Run cancelled"));
+        signal.addEventListener("abort", onAbort, { once: true });
+      });
+      try {
+        return await Promise.race([executor(argsWithContext), aborted]);
+      } finally {
+        signal.removeEventListener("abort", onAbort);
+      }
     } catch (error) {
       console.error(`[tools-loader] Tool execution failed (${name}):`, error.message);
       throw error;
@@ -117,6 +250,13 @@ class ToolsLoader {
   }
 }
 
+/**
+ * Category that a skill's tools are registered under
+ */
+function skillCategory(skillName) {
+  return `skill:${skillName}`;
+}
+
 // Singleton
 let instance = null;
 function getToolsLoader() {
@@ -124,4 +264,4 @@ function getToolsLoader() {
   return instance;
 }
 
-module.exports = { ToolsLoader, getToolsLoader };
+module.exports = { ToolsLoader, getToolsLoader, skillCategory };
@@ -0,0 +1,202 @@
+/**
+ * Memory Tools
+ * Structured long-term memory: remember facts and preferences, recall them later
+ */
+
+const { CATEGORIES } = require("../../memory/store");
+
+const CATEGORY_NAMES = Object.keys(CATEGORIES);
+
+// Tool definitions
+const tools = [
+  {
+    type: "function",
+    function: {
+      name: "remember",
+      description: "Save a lasting fact, preference or note about the user or their projects so it is available in future conversations. Store one self-contained fact per call.",
+      parameters: {
+        type: "object",
+        properties: {
+          content: {
+            type: "string",
+            description: "The fact to remember, written so it makes sense on its own, e.g. 'User prefers metric units'",
+          },
+          category: {
+            type: "string",
+            enum: CATEGORY_NAMES,
+            description: "user = facts about the user, preference = likes and settings, project = current work, note = anything else, pattern = habits you noticed (default: note)",
+          },
+          tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Extra keywords that help recall this memory (optional)",
+          },
+        },
+        required: ["content"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "recall",
+      description: "Search long-term memory for facts relevant to a topic",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "What to look up, e.g. 'timezone' or 'home server setup'",
+          },
+          category: {
+            type: "string",
+            enum: CATEGORY_NAMES,
+            description: "Only search this category (optional)",
+          },
+          limit: {
+            type: "number",
+            description: "Maximum number of memories (default: 5)",
+          },
+        },
+        required: ["query"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "forget",
+      description: "Delete a memory that is wrong or no longer true",
+      parameters: {
+        type: "object",
+        properties: {
+          id: {
+            type: "string",
+            description: "ID of the memory (from recall or list_memories)",
+          },
+        },
+        required: ["id"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "list_memories",
+      description: "List stored long-term memories, newest first",
+      parameters: {
+        type: "object",
+        properties: {
+          category: {
+            type: "string",
+            enum: CATEGORY_NAMES,
+            description: "Only list this category (optional)",
+          },
+        },
+      },
+    },
+  },
+];
+
+function formatMemory(memory) {
+  return {
+    id: memory.id,
+    content: memory.content,
+    category: memory.category,
+    tags: memory.tags?.length ? memory.tags : undefined,
+    updated: new Date(memory.updatedAt).toISOString(),
+  };
+}
+
+// Tool executors
+const executors = {
+  async remember({ content, category, tags = [], __context }) {
+    const store = __context?.memoryStore;
+    if (!store) {
+      return { success: false, error: "Memory store not available" };
+    }
+
+    try {
+      const { memory, created } = store.remember(content, {
+        category,
+        tags: Array.isArray(tags) ? tags.map(String) : [],
+        source: { type: "agent", sessionId: __context.sessionId, runId: __context.runId },
+      });
+      return {
+        success: true,
+        created,
+        message: created ? "Memory saved" : "Already remembered; refreshed the existing memory",
+        memory: formatMemory(memory),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async recall({ query, category, limit = 5, __context }) {
+    const store = __context?.memoryStore;
+    if (!store) {
+      return { success: false, error: "Memory store not available" };
+    }
+
+    try {
+      const memories = store.recall(query, {
+        category,
+        limit: Math.min(Math.max(Number(limit) || 5, 1), 20),
+      });
+      return {
+        success: true,
+        query,
+        count: memories.length,
+        memories: memories.map((m) => ({ ...formatMemory(m), score: m.score })),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async forget({ id, __context }) {
+    const store = __context?.memoryStore;
+    if (!store) {
+      return { success: false, error: "Memory store not available" };
+    }
+
+    try {
+      const removed = store.forget(id);
+      if (!removed) {
+        return { success: false, error: `Memory not found: ${id}` };
+      }
+      return { success: true, message: `Forgot: ${removed.content}` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async list_memories({ category, __context }) {
+    const store = __context?.memoryStore;
+    if (!store) {
+      return { success: false, error: "Memory store not available" };
+    }
+
+    try {
+      const memories = store.list({ category });
+      return { success: true, count: memories.length, memories: memories.map(formatMemory) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+// Plugin metadata
+module.exports = {
+  name: "Memory",
+  description: "Long-term memory across sessions",
+  version: "1.0.0",
+  category: "memory",
+  tools,
+  executors,
+  metadata: {
+    tags: ["memory", "remember", "recall"],
+    serialized: ["remember", "forget"],
+  },
+};
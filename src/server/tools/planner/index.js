@@ -149,11 +149,21 @@ const executors = {
       return { error: "Subagent manager not available" };
     }
 
-    const info = subagentManager.spawn({
-      task: task_description,
-      specialist: agent_type,
-      name: agent_type ? `${agent_type} specialist` : null,
-    });
+    let info;
+    try {
+      info = subagentManager.spawn({
+        task: task_description,
+        specialist: agent_type,
+        name: agent_type ? `${agent_type} specialist` : null,
+        sessionId: __context.sessionId,
+        channelType: __context.channel,
+        userId: __context.userId,
+        channelMetadata: __context.channelMetadata,
+        parentId: __context.runId,
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
 
     return {
       success: true,
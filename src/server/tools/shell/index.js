@@ -149,7 +149,7 @@ const tools = [
 
 // Tool executors
 const executors = {
-  async execute_command({ command, cwd, timeout = 30000 }) {
+  async execute_command({ command, cwd, timeout = 30000, __context }) {
     const startTime = Date.now();
     let result;
 
@@ -166,6 +166,7 @@ const executors = {
         cwd: cwd || process.cwd(),
         timeout,
         maxBuffer: 1024 * 1024 * 10, // 10MB
+        signal: __context?.signal, // Kills the child process when the run is cancelled
       });
 
       result = {
@@ -176,7 +177,7 @@ const executors = {
     } catch (error) {
       result = {
         success: false,
-        error: error.message,
+        error: error.name === "AbortError" ? "Command cancelled" : error.message,
         stdout: error.stdout?.trim() || "",
         stderr: error.stderr?.trim() || "",
         code: error.code,
@@ -247,5 +248,6 @@ module.exports = {
   metadata: {
     specialists: ["shell"], // Which specialists can use this plugin
     tags: ["shell", "system", "command", "exec"],
+    serialized: ["execute_command"], // Commands often depend on each other's side effects
   },
 };
@@ -0,0 +1,138 @@
+/**
+ * Skill Tools
+ * Load a skill's instructions into the conversation, and set up skills whose
+ * requirements (programs, OS, env vars) aren't met yet
+ */
+
+// Tool definitions
+const tools = [
+  {
+    type: "function",
+    function: {
+      name: "use_skill",
+      description: "Load a skill's instructions. They are added to your instructions right away and stay active for the rest of this conversation. Use it before a task that one of the listed skills covers.",
+      parameters: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the skill (e.g. 'weather')",
+          },
+        },
+        required: ["name"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "stop_skill",
+      description: "Unload a skill loaded with use_skill once it is no longer needed in this conversation",
+      parameters: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Name of the active skill",
+          },
+        },
+        required: ["name"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "install_skill",
+      description: "Ask the user to approve installing what a skill needs, using the install recipe from its SKILL.md (brew, apt, npm or pip). Nothing runs until the user approves it in the ChatDock app.",
+      parameters: {
+        type: "object",
+        properties: {
+          skill: {
+            type: "string",
+            description: "Name of the skill to set up (e.g. 'summarize')",
+          },
+          installer: {
+            type: "string",
+            description: "Id of the install recipe to use (optional; default: the first one that works on this machine)",
+          },
+        },
+        required: ["skill"],
+      },
+    },
+  },
+];
+
+// Tool executors
+const executors = {
+  async use_skill({ name, __context }) {
+    const skills = __context?.skills;
+    const activeSkills = __context?.activeSkills;
+    if (!skills || !activeSkills) {
+      return { success: false, error: "Skills can't be loaded in this run" };
+    }
+
+    const skill = skills.getSkill(name);
+    if (!skill || !skills.isEnabled(name)) {
+      const names = skills.getAllSkills().filter((s) => s.available).map((s) => s.name);
+      return { success: false, error: `Skill not found: ${name}. Available skills: ${names.join(", ") || "none"}` };
+    }
+    if (!skill.available) {
+      return { success: false, error: `${name} isn't set up on this machine (${skill.unavailableReason}). Offer to install it with install_skill.` };
+    }
+
+    const alreadyActive = activeSkills.has(name);
+    activeSkills.add(name);
+    return {
+      success: true,
+      skill: name,
+      alreadyActive,
+      toolsBuiltIn: Boolean(skill.toolsPath),
+      message: `The ${name} skill's instructions are now in your system prompt under "Active Skills". Follow them for this task.`,
+    };
+  },
+
+  async stop_skill({ name, __context }) {
+    const activeSkills = __context?.activeSkills;
+    if (!activeSkills) {
+      return { success: false, error: "Skills can't be unloaded in this run" };
+    }
+    if (!activeSkills.delete(name)) {
+      return { success: false, error: `${name} is not active. Active skills: ${[...activeSkills].join(", ") || "none"}` };
+    }
+    return { success: true, skill: name, message: `Unloaded the ${name} skill` };
+  },
+
+  async install_skill({ skill, installer, __context }) {
+    const skillInstaller = __context?.skillInstaller;
+    if (!skillInstaller) {
+      return { success: false, error: "Skill installation is only available in the main conversation" };
+    }
+
+    try {
+      const request = skillInstaller.request(skill, installer, { sessionId: __context.sessionId });
+      return {
+        success: true,
+        pending: true,
+        requestId: request.id,
+        command: request.installer.command.join(" "),
+        message: `Waiting for the user to approve "${request.installer.command.join(" ")}" in the ChatDock app (Skills panel). Tell the user; the skill can be used once it is installed.`,
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+// Plugin metadata
+module.exports = {
+  name: "Skills",
+  description: "Load skills and set up their requirements",
+  version: "1.0.0",
+  category: "skills",
+  tools,
+  executors,
+  metadata: {
+    tags: ["skills", "instructions", "install", "setup"],
+  },
+};
@@ -1,8 +1,30 @@
 /**
  * Spawn Tool
- * Allows the agent to spawn subagents for background tasks
+ * Allows the agent to spawn subagents for background tasks, or fan work out to
+ * subagents and wait for the combined result within the same turn
  */
 
+const { runTaskGraph, MAX_SUBTASKS } = require("../../agent/orchestrator");
+
+// Session/channel of the calling run, so results are routed back to it
+function originOf(context) {
+  return {
+    sessionId: context.sessionId,
+    channelType: context.channel,
+    userId: context.userId,
+    channelMetadata: context.channelMetadata,
+  };
+}
+
+// Default wait: as long as a single subagent may run, but never past the run's own time limit
+function waitTimeoutMs(seconds, subagentManager, deadline) {
+  const value = Number(seconds);
+  const timeoutMs = Number.isFinite(value) && value > 0 ? value * 1000 : subagentManager.getSettings().subagentTimeoutMs;
+  if (!deadline) return timeoutMs;
+  const remainingMs = Math.max(1, deadline - Date.now());
+  return timeoutMs > 0 ? Math.min(timeoutMs, remainingMs) : remainingMs;
+}
+
 // Tool definitions
 const tools = [
   {
@@ -26,6 +48,73 @@ const tools = [
       },
     },
   },
+  {
+    type: "function",
+    function: {
+      name: "spawn_and_wait",
+      description: `Split work into subtasks, run them on subagents and wait for all results before continuing. Independent subtasks run in parallel; a subtask with depends_on starts after those subtasks complete and receives their results. Use this when you need the results to finish the current request. Up to ${MAX_SUBTASKS} subtasks.`,
+      parameters: {
+        type: "object",
+        properties: {
+          tasks: {
+            type: "array",
+            description: "Subtasks to run",
+            items: {
+              type: "object",
+              properties: {
+                id: {
+                  type: "string",
+                  description: "Short unique id used in depends_on (e.g. 'research', 'summary')",
+                },
+                task: {
+                  type: "string",
+                  description: "Self-contained description of what this subtask should accomplish",
+                },
+                depends_on: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Ids of subtasks whose results this one needs (optional)",
+                },
+                specialist: {
+                  type: "string",
+                  enum: ["file", "shell", "web", "code", "conversation"],
+                  description: "Specialist to run the subtask as (optional)",
+                },
+              },
+              required: ["id", "task"],
+            },
+          },
+          timeout_seconds: {
+            type: "number",
+            description: "Stop waiting and cancel unfinished subtasks after this many seconds (optional)",
+          },
+        },
+        required: ["tasks"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "await_subagents",
+      description: "Wait for subagents started earlier (spawn_subagent or task) to finish and return their results",
+      parameters: {
+        type: "object",
+        properties: {
+          ids: {
+            type: "array",
+            items: { type: "string" },
+            description: "Subagent IDs to wait for",
+          },
+          timeout_seconds: {
+            type: "number",
+            description: "Stop waiting after this many seconds; unfinished subagents keep running (optional)",
+          },
+        },
+        required: ["ids"],
+      },
+    },
+  },
   {
     type: "function",
     function: {
@@ -36,7 +125,7 @@ const tools = [
         properties: {
           status: {
             type: "string",
-            enum: ["running", "completed", "failed", "cancelled"],
+            enum: ["running", "completed", "failed", "cancelled", "interrupted"],
             description: "Filter by status (optional)",
           },
         },
@@ -71,7 +160,13 @@ const executors = {
     }
     
     try {
-      const result = subagentManager.spawn({ task, name });
+      // Remember who asked so the result goes back to the same conversation and channel
+      const result = subagentManager.spawn({
+        task,
+        name,
+        ...originOf(__context),
+        parentId: __context.runId,
+      });
       return {
         success: true,
         message: `Subagent "${result.name}" spawned successfully. It will work on: ${task}`,
@@ -82,6 +177,63 @@ const executors = {
     }
   },
 
+  async spawn_and_wait({ tasks, timeout_seconds, __context }) {
+    const subagentManager = __context?.subagentManager;
+    if (!subagentManager) {
+      return { success: false, error: "Subagent manager not available" };
+    }
+
+    try {
+      const outcome = await runTaskGraph(subagentManager, tasks, {
+        parentId: __context.runId,
+        timeoutMs: waitTimeoutMs(timeout_seconds, subagentManager, __context.deadline),
+        signal: __context.signal,
+        origin: originOf(__context),
+      });
+      const total = outcome.results.length;
+      return {
+        success: outcome.completed === total,
+        message: outcome.timedOut
+          ? `Timed out: ${outcome.completed} of ${total} subtasks completed`
+          : `${outcome.completed} of ${total} subtasks completed`,
+        ...outcome,
+      };
+    } catch (error) {
+      if (__context.signal?.aborted) throw error;
+      return { success: false, error: error.message };
+    }
+  },
+
+  async await_subagents({ ids, timeout_seconds, __context }) {
+    const subagentManager = __context?.subagentManager;
+    if (!subagentManager) {
+      return { success: false, error: "Subagent manager not available" };
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { success: false, error: "ids must list at least one subagent" };
+    }
+
+    try {
+      const subagents = await subagentManager.wait(ids.map(String), {
+        timeoutMs: waitTimeoutMs(timeout_seconds, subagentManager, __context.deadline),
+        signal: __context.signal,
+      });
+      const running = subagents.filter((s) => s.status === "running").length;
+      const completed = subagents.filter((s) => s.status === "completed").length;
+      return {
+        success: completed === subagents.length,
+        finished: running === 0,
+        completed,
+        failed: subagents.length - completed - running,
+        running,
+        subagents,
+      };
+    } catch (error) {
+      if (__context.signal?.aborted) throw error;
+      return { success: false, error: error.message };
+    }
+  },
+
   list_subagents({ status, __context }) {
     const subagentManager = __context?.subagentManager;
     if (!subagentManager) {
@@ -114,13 +266,13 @@ const executors = {
 // Plugin metadata
 module.exports = {
   name: "Spawn",
-  description: "Spawn and manage background subagents",
+  description: "Spawn, wait for and manage subagents",
   version: "1.0.0",
   category: "spawn",
   tools,
   executors,
   metadata: {
-    tags: ["subagent", "background", "async", "parallel"],
-    note: "Subagents run in background and can handle long-running tasks",
+    tags: ["subagent", "background", "async", "parallel", "orchestration"],
+    note: "Subagents run in background and can handle long-running tasks; spawn_and_wait and await_subagents block until results are in",
   },
 };
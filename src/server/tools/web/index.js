@@ -60,10 +60,11 @@ const tools = [
 
 // Tool executors
 const executors = {
-  async fetch_url({ url, method = "GET", headers = {}, body }) {
+  async fetch_url({ url, method = "GET", headers = {}, body, __context }) {
     try {
       const options = {
         method,
+        signal: __context?.signal,
         headers: {
           "User-Agent": "ChatDock/1.0",
           ...headers,
@@ -99,10 +100,11 @@ const executors = {
     }
   },
 
-  async scrape_page({ url, selector }) {
+  async scrape_page({ url, selector, __context }) {
     try {
       const response = await fetch(url, {
         headers: { "User-Agent": "ChatDock/1.0" },
+        signal: __context?.signal,
       });
 
       if (!response.ok) {
@@ -0,0 +1,164 @@
+/**
+ * File Store Helpers
+ * Crash-safe writes, append-only JSONL and cross-process file locks
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000; // A lock older than this is assumed abandoned
+
+/**
+ * Block the thread briefly (locks are held for a few milliseconds at most)
+ * @private
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Whether a process is still alive
+ * @private
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+/**
+ * Remove a lock file left behind by a crashed or hung process
+ * @private
+ */
+function clearStaleLock(lockPath) {
+  try {
+    const stat = fs.statSync(lockPath);
+    const pid = parseInt(fs.readFileSync(lockPath, "utf-8"), 10);
+    const abandoned = (pid && pid !== process.pid && !isProcessAlive(pid)) ||
+      Date.now() - stat.mtimeMs > LOCK_STALE_MS;
+    if (abandoned) {
+      fs.unlinkSync(lockPath);
+      return true;
+    }
+  } catch (e) {
+    // Lock vanished in the meantime - try again
+    if (e.code === "ENOENT") return true;
+  }
+  return false;
+}
+
+/**
+ * Run fn while holding an exclusive lock file (created with O_EXCL)
+ * @param {string} lockPath - Path of the lock file
+ * @param {Function} fn - Synchronous function to run
+ * @param {Object} options - { timeoutMs }
+ * @returns {*} - Whatever fn returns
+ */
+function withFileLock(lockPath, fn, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let fd;
+
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, String(process.pid));
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      if (clearStaleLock(lockPath)) continue;
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${lockPath}`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (e) { /* ignore */ }
+  }
+}
+
+/**
+ * Write a file atomically: write a temp file, fsync, then rename over the target.
+ * Readers see either the old or the new content, never a partial write.
+ * @param {string} filePath - Target file
+ * @param {string} data - File content
+ */
+function writeFileAtomic(filePath, data) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`
+  );
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch (cleanupError) { /* ignore */ }
+    throw e;
+  }
+}
+
+/**
+ * Append records to a JSONL file, one JSON document per line
+ * @param {string} filePath - Target file
+ * @param {Array} records - Objects to append
+ */
+function appendJsonLines(filePath, records) {
+  if (records.length === 0) return;
+  const fd = fs.openSync(filePath, "a+");
+  try {
+    // A crash mid-append can leave a torn last line; start on a fresh one so it doesn't swallow ours
+    const { size } = fs.fstatSync(fd);
+    const last = Buffer.alloc(1);
+    const torn = size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a;
+    fs.writeSync(fd, (torn ? "\n" : "") + records.map((record) => `${JSON.stringify(record)}\n`).join(""));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read a JSONL file, skipping lines torn by a crash mid-append
+ * @param {string} filePath - Source file
+ * @returns {Array} - Parsed records (empty if the file doesn't exist)
+ */
+function readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const records = [];
+  for (const line of fs.readFileSync(filePath, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      console.warn(`[file-store] Skipping corrupt line in ${path.basename(filePath)}`);
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic,
+  appendJsonLines,
+  readJsonLines,
+};
@@ -0,0 +1,62 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { withFileLock, appendJsonLines, readJsonLines } = require("../src/server/utils/file-store");
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "chatdock-file-store-"));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * PID of a process that has already exited
+ */
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+test("runs the function under the lock and releases it", () => {
+  const lockPath = path.join(dir, "store.lock");
+  const result = withFileLock(lockPath, () => {
+    assert.equal(fs.readFileSync(lockPath, "utf-8"), String(process.pid));
+    return 42;
+  });
+  assert.equal(result, 42);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test("takes over a lock left by a process that is gone", () => {
+  const lockPath = path.join(dir, "store.lock");
+  fs.writeFileSync(lockPath, String(deadPid()));
+  assert.equal(withFileLock(lockPath, () => "taken", { timeoutMs: 200 }), "taken");
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test("takes over a lock that is older than the stale limit", () => {
+  const lockPath = path.join(dir, "store.lock");
+  fs.writeFileSync(lockPath, String(process.ppid)); // Alive, but hung for a minute
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(lockPath, old, old);
+  assert.equal(withFileLock(lockPath, () => "taken", { timeoutMs: 200 }), "taken");
+});
+
+test("waits for a live holder and times out", () => {
+  const lockPath = path.join(dir, "store.lock");
+  fs.writeFileSync(lockPath, String(process.ppid));
+  assert.throws(() => withFileLock(lockPath, () => "taken", { timeoutMs: 50 }), /Timed out waiting for lock/);
+  assert.equal(fs.readFileSync(lockPath, "utf-8"), String(process.ppid));
+});
+
+test("appends after a line torn by a crash without losing the new record", () => {
+  const logPath = path.join(dir, "log.jsonl");
+  fs.writeFileSync(logPath, '{"n":1}\n{"n":');
+  appendJsonLines(logPath, [{ n: 3 }]);
+  appendJsonLines(logPath, [{ n: 4 }]);
+  assert.deepEqual(readJsonLines(logPath), [{ n: 1 }, { n: 3 }, { n: 4 }]);
+});
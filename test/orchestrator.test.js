@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateTaskGraph, MAX_SUBTASKS } = require("../src/server/agent/orchestrator");
+
+test("orders subtasks after the ones they depend on", () => {
+  const ordered = validateTaskGraph([
+    { id: "report", task: "Write the report", depends_on: ["a", "b"] },
+    { id: "a", task: "Collect A" },
+    { id: "b", task: "Collect B", depends_on: ["a"] },
+  ]);
+  assert.deepEqual(ordered.map((node) => node.id), ["a", "b", "report"]);
+});
+
+test("numbers subtasks that have no id", () => {
+  const ordered = validateTaskGraph([{ task: "One" }, { task: "Two", depends_on: ["task-1"] }]);
+  assert.deepEqual(ordered.map((node) => node.id), ["task-1", "task-2"]);
+});
+
+test("rejects a dependency on an unknown subtask", () => {
+  assert.throws(
+    () => validateTaskGraph([{ id: "a", task: "A", depends_on: ["missing"] }]),
+    /Subtask a depends on unknown subtask: missing/,
+  );
+});
+
+test("rejects dependency cycles and names the subtasks on them", () => {
+  assert.throws(
+    () => validateTaskGraph([
+      { id: "start", task: "Start" },
+      { id: "a", task: "A", depends_on: ["start", "c"] },
+      { id: "b", task: "B", depends_on: ["a"] },
+      { id: "c", task: "C", depends_on: ["b"] },
+    ]),
+    /cycle: a, b, c$/,
+  );
+  assert.throws(() => validateTaskGraph([{ id: "self", task: "S", depends_on: ["self"] }]), /cycle: self/);
+});
+
+test("rejects empty, oversized and malformed graphs", () => {
+  assert.throws(() => validateTaskGraph([]), /At least one subtask/);
+  const tooMany = Array.from({ length: MAX_SUBTASKS + 1 }, (_, i) => ({ task: `Task ${i}` }));
+  assert.throws(() => validateTaskGraph(tooMany), /Too many subtasks/);
+  assert.throws(() => validateTaskGraph([{ id: "a", task: " " }]), /Subtask 1 has no task description/);
+  assert.throws(() => validateTaskGraph([{ id: "a", task: "A" }, { id: "a", task: "B" }]), /Duplicate subtask id: a/);
+});
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { compareVersions, computeChecksum } = require("../src/server/skills/packages");
+
+test("compares versions part by part", () => {
+  assert.ok(compareVersions("1.10.0", "1.9.9") > 0);
+  assert.ok(compareVersions("0.9.0", "1.0.0") < 0);
+  assert.equal(compareVersions("2.0.0", "2.0.0"), 0);
+});
+
+test("treats missing parts as zero and ignores pre-release and build tags", () => {
+  assert.equal(compareVersions("1.2", "1.2.0"), 0);
+  assert.ok(compareVersions("1.2.1", "1.2") > 0);
+  assert.equal(compareVersions("1.2.3-beta.1", "1.2.3"), 0);
+  assert.equal(compareVersions("1.2.3+build.5", "1.2.3"), 0);
+});
+
+/**
+ * Temporary skill directory with the given files
+ */
+function makeSkill(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chatdock-checksum-"));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test("checksums a skill directory by file paths and contents", (t) => {
+  const a = makeSkill({ "SKILL.md": "# Skill", "scripts/run.sh": "echo hi" });
+  const b = makeSkill({ "scripts/run.sh": "echo hi", "SKILL.md": "# Skill" });
+  const renamed = makeSkill({ "SKILL.md": "# Skill", "scripts/go.sh": "echo hi" });
+  const edited = makeSkill({ "SKILL.md": "# Skill", "scripts/run.sh": "echo bye" });
+  t.after(() => [a, b, renamed, edited].forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+  const checksum = computeChecksum(a);
+  assert.match(checksum, /^sha256:[0-9a-f]{64}$/);
+  assert.equal(computeChecksum(b), checksum);
+  assert.notEqual(computeChecksum(renamed), checksum);
+  assert.notEqual(computeChecksum(edited), checksum);
+});
+
+test("leaves skill.json out of the checksum it carries", (t) => {
+  const dir = makeSkill({ "SKILL.md": "# Skill" });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const before = computeChecksum(dir);
+  fs.writeFileSync(path.join(dir, "skill.json"), JSON.stringify({ name: "skill", checksum: before }));
+  assert.equal(computeChecksum(dir), before);
+});
+
+test("refuses symbolic links", (t) => {
+  const dir = makeSkill({ "SKILL.md": "# Skill" });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.symlinkSync("/etc/passwd", path.join(dir, "passwd"));
+  assert.throws(() => computeChecksum(dir), /can't contain links: passwd/);
+});
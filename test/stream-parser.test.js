@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ToolCallAccumulator } = require("../src/server/providers/stream-parser");
+
+test("joins streamed argument fragments of each call", () => {
+  const accumulator = new ToolCallAccumulator();
+  accumulator.add({ index: 0, id: "call_1", name: "read_file", arguments: '{"pa' });
+  accumulator.add({ index: 1, id: "call_2", name: "list_dir", arguments: '{"dir":' });
+  accumulator.add({ index: 0, arguments: 'th":"a.txt"}' });
+  accumulator.add({ index: 1, arguments: '"."}' });
+
+  assert.equal(accumulator.size, 2);
+  assert.deepEqual(accumulator.finalize(), [
+    { id: "call_1", type: "function", function: { name: "read_file", arguments: '{"path":"a.txt"}' } },
+    { id: "call_2", type: "function", function: { name: "list_dir", arguments: '{"dir":"."}' } },
+  ]);
+});
+
+test("orders calls by index, not arrival", () => {
+  const accumulator = new ToolCallAccumulator();
+  accumulator.add({ index: 2, id: "c", name: "third" });
+  accumulator.add({ index: 0, id: "a", name: "first" });
+  accumulator.add({ index: 1, id: "b", name: "second" });
+  assert.deepEqual(accumulator.finalize().map((call) => call.function.name), ["first", "second", "third"]);
+});
+
+test("handles names sent in fragments or repeated in every chunk", () => {
+  const fragments = new ToolCallAccumulator();
+  fragments.add({ index: 0, name: "web_" });
+  fragments.add({ index: 0, name: "search" });
+  assert.equal(fragments.finalize()[0].function.name, "web_search");
+
+  const repeated = new ToolCallAccumulator();
+  repeated.add({ index: 0, name: "web_search", arguments: '{"q":' });
+  repeated.add({ index: 0, name: "web_search", arguments: '"x"}' });
+  assert.deepEqual(repeated.finalize()[0].function, { name: "web_search", arguments: '{"q":"x"}' });
+});
+
+test("fills in ids and empty arguments and drops calls without a name", () => {
+  const accumulator = new ToolCallAccumulator();
+  accumulator.add({ index: 0, name: "get_time" });
+  accumulator.add({ index: 1, arguments: "{}" });
+
+  const calls = accumulator.finalize();
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].id, /^call_/);
+  assert.equal(calls[0].function.arguments, "{}");
+});